@@ -10,23 +10,66 @@
   const socket = io();
   // Local state
   let joined = false;
+  // Identifiant stable du joueur dans la room (renvoyé par player:join).
+  // Il remplace socket.id, qui change à chaque reconnexion.
+  let myId = null;
   let isHost = false;
   let iAmAlive = false;
+  // Vrai si on regarde la partie sans jouer (rôle spectator)
+  let iAmSpectator = false;
   let lockedWord = null;
   let timerRaf = null;
+  // Clé de stockage de la session (code de room + jeton) pour reprendre sa
+  // place après une coupure réseau ou un rechargement de page.
+  const SESSION_KEY = 'chips:session';
+  // Identité persistante du joueur, commune à toutes les rooms, attribuée
+  // par le serveur au premier player:join. Elle sert aux records solo.
+  const IDENTITY_KEY = 'chips:identity';
   // DOM references
   const joinEl = document.getElementById('join');
   const nameInput = document.getElementById('name');
   const roomCodeInput = document.getElementById('roomCode');
+  const spectateInput = document.getElementById('spectateOnly');
   const joinBtn = document.getElementById('joinBtn');
   const lobbyEl = document.getElementById('lobby');
   const startBtn = document.getElementById('startBtn');
+  // Modération (host) : verrouillage de la room et erreurs de connexion
+  const lockBtn = document.getElementById('lockBtn');
+  const botForm = document.getElementById('botForm');
+  const botLevelSelect = document.getElementById('botLevelSelect');
+  const botInfoEl = document.getElementById('botInfo');
+  const joinErrorEl = document.getElementById('joinError');
+  const personalBestsEl = document.getElementById('personalBests');
+  // Dernier résultat solo, affiché avec le tableau de fin de partie
+  let soloResult = null;
+  let roomLocked = false;
+  // Jokers : inventaire du joueur, phase pendant laquelle ils sont jouables
+  // ('turn', 'vote' ou null) et libellés affichés
+  const jokerBarEl = document.getElementById('jokerBar');
+  const jokerFeedEl = document.getElementById('jokerFeed');
+  // Libellés des niveaux de bot (voir BOT_CONFIG.presets côté serveur)
+  const BOT_LEVEL_LABELS = { easy: 'facile', normal: 'normal', hard: 'difficile' };
+  const JOKERS = {
+    time: { label: '⏱️ +3 s', phase: 'turn' },
+    shield: { label: '🛡️ Bouclier', phase: 'turn' },
+    veto: { label: '✋ Veto', phase: 'vote' },
+    reveal: { label: '💡 Indice', phase: 'turn' },
+  };
+  let myJokers = {};
+  let jokerPhase = null;
+  // Chat de la room
+  const chatMessagesEl = document.getElementById('chatMessages');
+  const chatForm = document.getElementById('chatForm');
+  const chatInput = document.getElementById('chatInput');
+  const chatInfoEl = document.getElementById('chatInfo');
   const playersEl = document.getElementById('players');
   const usedWordsListEl = document.getElementById('usedWordsList');
   const roundEl = document.getElementById('round');
+  const levelRecordEl = document.getElementById('levelRecord');
   const themeEl = document.getElementById('theme');
   const turnEl = document.getElementById('turn');
   const turnAreaEl = document.getElementById('turnArea');
+  const spectatorBannerEl = document.getElementById('spectatorBanner');
   const wordInput = document.getElementById('word');
   const wordForm = document.getElementById('wordForm');
   const turnInfoEl = document.getElementById('turnInfo');
@@ -39,11 +82,42 @@
   const logEl = document.getElementById('log');
   const endOverlay = document.getElementById('endOverlay');
   const scoreTableEl = document.getElementById('scoreTable');
+  const endInfoEl = document.getElementById('endInfo');
+  // Classement intermédiaire d’un match (entre deux rounds)
+  const standingsOverlay = document.getElementById('standingsOverlay');
+  const standingsTitleEl = document.getElementById('standingsTitle');
+  const standingsInfoEl = document.getElementById('standingsInfo');
+  const standingsTableEl = document.getElementById('standingsTable');
   const btnMenu = document.getElementById('btnMenu');
   const btnReplay = document.getElementById('btnReplay');
+  // Formulaire des réglages de la partie (lobby)
+  const settingsForm = document.getElementById('settingsForm');
+  const settingsRangesEl = document.getElementById('settingsRanges');
+  const settingsThemesEl = document.getElementById('settingsThemes');
+  const settingsSaveBtn = document.getElementById('settingsSave');
+  const settingsInfoEl = document.getElementById('settingsInfo');
+  // Vrai lorsque l'host a modifié le formulaire sans l'appliquer : on évite
+  // alors d'écraser sa saisie à chaque lobby:update.
+  let settingsDirty = false;
+  // Listes de mots personnalisées (host d'une room privée)
+  const wordListForm = document.getElementById('wordListForm');
+  const wordListThemeInput = document.getElementById('wordListTheme');
+  const wordListTextInput = document.getElementById('wordListText');
+  const wordListFileInput = document.getElementById('wordListFile');
+  const customListsEl = document.getElementById('customLists');
+  const wordListInfoEl = document.getElementById('wordListInfo');
+  let currentRoomCode = null;
+  // Vote du thème avant chaque round
+  const themeDraftEl = document.getElementById('themeDraft');
+  const themeOptionsEl = document.getElementById('themeOptions');
+  const themeDraftTimeEl = document.getElementById('themeDraftTime');
+  let draftOptions = [];
+  let myThemeVote = null;
+  let draftCountdown = null;
 
   // Références pour l’affichage des lettres punies (punies) à partir du niveau 10
   const punishedEl = document.getElementById('punished');
+  const constraintEl = document.getElementById('constraint');
   const punishedLettersEl = document.getElementById('punishedLetters');
   // Titre des lettres punies/obligatoires (élément <h3> dans #punished)
   const punishedTitleEl = document.querySelector('#punished h3');
@@ -62,6 +136,8 @@
   // Soumissions et votes du tour courant
   let currentSubmissions = [];
   let votedTargets = new Set();
+  // Nombre de voix reçues par chaque mot pendant le vote (vote:cast)
+  let voteCounts = {};
   // Variables pour l'animation de la barre de vote
   let voteTimerRaf = null;
 
@@ -90,11 +166,19 @@
       const params = new URLSearchParams(window.location.search);
       code = params.get('room') || 'public';
     }
-    // Envoyer un objet { name, code } au serveur. L’acknowledgement
+    // Envoyer un objet { name, code, spectate } au serveur. L’acknowledgement
     // renvoie ok et host (true si on est l’host).
-    socket.emit('player:join', { name, code }, (res) => {
+    const spectate = spectateInput.checked;
+    socket.emit('player:join', { name, code, spectate, identity: loadIdentity() }, (res) => {
+      // Room verrouillée ou joueur banni : afficher la raison sur l’écran de connexion
+      joinErrorEl.textContent = res?.ok ? '' : (res?.error || '');
+      joinErrorEl.classList.toggle('hidden', !!res?.ok);
       if (res?.ok) {
         joined = true;
+        currentRoomCode = code;
+        myId = res.playerId;
+        saveSession({ code, token: res.token });
+        saveIdentity(res.identity);
         isHost = !!res.host;
         joinEl.classList.add('hidden');
         lobbyEl.classList.remove('hidden');
@@ -104,6 +188,104 @@
     });
   }
 
+  /**
+   * À chaque connexion (y compris les reconnexions automatiques de
+   * Socket.IO et le rechargement de la page), on tente de reprendre la
+   * session enregistrée. En cas d'échec (délai de grâce dépassé), la
+   * session est oubliée et l'écran de connexion est affiché.
+   */
+  socket.on('connect', () => {
+    loadPersonalBests();
+    const session = loadSession();
+    if (!session) return;
+    socket.emit('player:resume', session, (res) => {
+      if (res?.ok) {
+        joined = true;
+        currentRoomCode = session.code;
+        myId = res.playerId;
+        isHost = !!res.host;
+        joinEl.classList.add('hidden');
+        lobbyEl.classList.remove('hidden');
+        appendLog(`🔄 Reconnecté en tant que <b>${escapeHtml(res.name)}</b>.`);
+      } else {
+        clearSession();
+        if (joined) resetToJoinScreen();
+      }
+    });
+  });
+
+  // Modération par l’host : boutons rendus par renderPlayers()
+  playersEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-action]');
+    if (!btn || !isHost) return;
+    const target = btn.getAttribute('data-target');
+    const action = btn.getAttribute('data-action');
+    if (action === 'ban' && !confirm('Bannir ce joueur de la room ?')) return;
+    if (action === 'mute' || action === 'unmute') {
+      socket.emit('host:mute', { target, muted: action === 'mute' });
+      return;
+    }
+    if (action === 'bot-remove') {
+      socket.emit('bot:remove', { target });
+      return;
+    }
+    socket.emit(`host:${action}`, { target });
+  });
+  lockBtn.addEventListener('click', () => {
+    socket.emit('room:lock', { locked: !roomLocked });
+  });
+  // Ajouter un bot au niveau choisi
+  botForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    socket.emit('bot:add', { level: botLevelSelect.value }, (res) => {
+      botInfoEl.textContent = res?.ok ? '' : `⚠️ ${res?.error || 'Erreur'}`;
+    });
+  });
+
+  // Jouer un joker : le résultat privé (timer prolongé, mot révélé) arrive
+  // dans l’acknowledgement
+  jokerBarEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-joker]');
+    if (!btn) return;
+    socket.emit('turn:joker', { type: btn.getAttribute('data-joker') }, (res) => {
+      if (!res?.ok) {
+        turnInfoEl.textContent = `⚠️ ${res?.error || 'Joker refusé.'}`;
+        return;
+      }
+      if (res.turnMs) {
+        stopTimer();
+        startTimer(res.turnMs, res.elapsedMs);
+      }
+      if (res.word) turnInfoEl.textContent = `💡 Essaie : ${res.word}`;
+    });
+  });
+  // Annonce des jokers joués par les joueurs de la room
+  socket.on('joker:used', ({ playerId, name, type }) => {
+    const who = playerId === myId ? 'Tu as' : `${escapeHtml(name)} a`;
+    jokerFeedEl.innerHTML = `⚡ ${who} joué <b>${JOKERS[type]?.label || escapeHtml(type)}</b>`;
+    appendLog(jokerFeedEl.innerHTML);
+  });
+
+  // Envoi d’un message de chat ; les refus (muet, débit, tour en cours)
+  // sont affichés sous le champ
+  chatForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const text = chatInput.value.trim();
+    if (!text) return;
+    socket.emit('chat:send', { text }, (res) => {
+      chatInfoEl.textContent = res?.ok ? '' : (res?.error || '');
+      if (res?.ok) chatInput.value = '';
+    });
+  });
+  // name et text sont échappés par le serveur
+  socket.on('chat:message', ({ playerId, name, text }) => {
+    const div = document.createElement('div');
+    const cls = playerId === myId ? ' class="me"' : '';
+    div.innerHTML = `<b${cls}>${name}</b> : ${text}`;
+    chatMessagesEl.appendChild(div);
+    chatMessagesEl.scrollTop = chatMessagesEl.scrollHeight;
+  });
+
   // Host starts a game
   startBtn.addEventListener('click', () => {
     socket.emit('game:start');
@@ -115,6 +297,48 @@
   btnReplay.addEventListener('click', () => {
     socket.emit('game:restart');
   });
+  // L'host applique les réglages : le serveur les valide, les borne et
+  // renvoie les valeurs retenues (diffusées à tous via lobby:update).
+  settingsForm.addEventListener('input', () => {
+    if (isHost) settingsDirty = true;
+  });
+  settingsForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    if (!isHost) return;
+    socket.emit('room:settings', collectSettings(), (res) => {
+      settingsDirty = false;
+      settingsInfoEl.textContent = res?.ok ? 'Règles mises à jour.' : `⚠️ ${res?.error || 'Erreur'}`;
+      if (res?.ok) renderSettings(res.settings, null);
+    });
+  });
+  // Charger un fichier .txt dans la zone de texte de la liste personnalisée
+  wordListFileInput.addEventListener('change', () => {
+    const file = wordListFileInput.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      wordListTextInput.value = String(reader.result || '');
+      if (!wordListThemeInput.value.trim()) {
+        wordListThemeInput.value = file.name.replace(/\.[^.]+$/, '');
+      }
+    };
+    reader.readAsText(file);
+  });
+  // Envoyer la liste personnalisée : le serveur l'analyse et l'ajoute aux thèmes
+  wordListForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const theme = wordListThemeInput.value.trim();
+    socket.emit('room:wordlist', { theme, text: wordListTextInput.value }, (res) => {
+      if (res?.ok) {
+        wordListInfoEl.textContent = `Liste « ${res.theme} » ajoutée (${res.size} mots).`;
+        wordListThemeInput.value = '';
+        wordListTextInput.value = '';
+        wordListFileInput.value = '';
+      } else {
+        wordListInfoEl.textContent = `⚠️ ${res?.error || 'Erreur'}`;
+      }
+    });
+  });
   // Submit a word on form submit
   wordForm.addEventListener('submit', (e) => {
     e.preventDefault();
@@ -125,16 +349,48 @@
   });
 
   // Handle lobby updates (player list, round info, host, accepting)
-  socket.on('lobby:update', (data) => {
-    const me = data.players.find((p) => p.id === socket.id);
+  socket.on('lobby:update', (data) => applyLobby(data));
+  /**
+   * Applique l'état du lobby (liste des joueurs, round, host, réglages).
+   * @param {Object} data Room sérialisée par le serveur
+   */
+  function applyLobby(data) {
+    const me = data.players.find((p) => p.id === myId);
     iAmAlive = !!(me && me.alive);
-    isHost = data.hostId === socket.id;
+    iAmSpectator = !!(me && me.role === 'spectator');
+    myJokers = (me && me.jokers) || {};
+    renderJokers();
+    // Les spectateurs voient le tour sans champ de saisie
+    wordForm.classList.toggle('hidden', iAmSpectator);
+    spectatorBannerEl.classList.toggle('hidden', !iAmSpectator);
+    if (me && iAmSpectator) {
+      spectatorBannerEl.textContent = me.spectatorOnly
+        ? '👁️ Vous regardez la partie en spectateur.'
+        : '👁️ Partie en cours : vous la regardez et jouerez à la prochaine.';
+    }
+    isHost = data.hostId === myId;
     // Masquer le bouton Démarrer si on n’est pas host ou si une partie est en cours
     startBtn.classList.toggle('hidden', !(isHost && !data.gameActive));
-    renderPlayers(data.players);
+    roomLocked = !!data.locked;
+    lockBtn.classList.toggle('hidden', !isHost);
+    lockBtn.textContent = roomLocked ? '🔓 Déverrouiller la room' : '🔒 Verrouiller la room';
+    botForm.classList.toggle('hidden', !isHost || !!data.gameActive);
+    renderPlayers(data.players, data.hostId, data.settings?.lives || 1);
     roundEl.textContent = data.round;
     themeEl.textContent = data.theme || '-';
     turnEl.textContent = data.turn;
+    renderLevelRecord(data.levelRecord);
+    // Réglages visibles dans le lobby uniquement (hors partie)
+    settingsForm.classList.toggle('hidden', !!data.gameActive);
+    if (!settingsDirty) renderSettings(data.settings, data.availableThemes);
+    renderCustomLists(data.customLists || []);
+    wordListForm.classList.toggle('hidden', !isHost || !!data.gameActive || currentRoomCode === 'public');
+    // Afficher le vote du thème en cours si on arrive pendant le draft
+    if (data.themeDraft && themeDraftEl.classList.contains('hidden')) {
+      draftOptions = data.themeDraft.options;
+      renderThemeDraft(data.themeDraft.counts);
+      themeDraftEl.classList.remove('hidden');
+    }
     // If the ack was lost, but we appear in player list, show lobby
     if (!joined && me) {
       joined = true;
@@ -145,10 +401,78 @@
     wordInput.disabled = !iAmAlive || !data.accepting;
     // Hide turn area if no round is active
     turnAreaEl.classList.toggle('hidden', !data.theme);
+  }
+
+  /**
+   * Instantané envoyé après une reprise de session (player:resume). On
+   * reconstruit l'interface de la phase en cours : vote du thème, tour
+   * (timer, lettres, mot verrouillé) ou phase de vote.
+   */
+  socket.on('room:state', (state) => {
+    applyLobby(state.lobby);
+    renderUsedWords(state.usedWords);
+    stopTimer();
+    stopVoteTimer();
+    voteAreaEl.classList.add('hidden');
+    voteAreaEl.innerHTML = '';
+    if (state.themeDraft) {
+      myThemeVote = state.themeDraft.myVote;
+      showThemeDraft(state.themeDraft.options, state.themeDraft.counts, state.themeDraft.remainingMs);
+    } else {
+      hideThemeDraft();
+    }
+    jokerPhase = state.turn ? 'turn' : (state.vote ? 'vote' : null);
+    renderJokers();
+    if (state.turn) {
+      const t = state.turn;
+      turnEl.textContent = t.turn;
+      renderLetters(t.punishedLetters, t.letterRuleType);
+      renderConstraint(t.constraint);
+      startTimer(t.turnMs, t.elapsedMs);
+      lockedWord = t.lockedWord;
+      wordInput.value = lockedWord || '';
+      wordInput.disabled = !iAmAlive || !!lockedWord;
+      turnInfoEl.textContent = lockedWord
+        ? 'Mot verrouillé. Révélation à la fin du timer.'
+        : `${t.suddenDeath ? '⚔️ Mort subite — ' : ''}${t.submitted} joueur(s) ont soumis.`;
+    }
+    if (state.standings) {
+      showStandings(state.standings, state.standings.remainingMs);
+    } else {
+      standingsOverlay.classList.add('hidden');
+    }
+    if (state.vote) {
+      currentSubmissions = state.vote.submissions;
+      votedTargets = new Set(state.vote.votedTargets);
+      voteCounts = state.vote.votes || {};
+      startVoteTimer(state.vote.remainingMs);
+      if (iAmAlive) {
+        renderVoteArea(currentSubmissions);
+        voteAreaEl.classList.remove('hidden');
+      }
+    }
+  });
+
+  // Vote du thème : afficher les propositions avec un compte à rebours
+  socket.on('theme:draft', ({ round, options, durationMs }) => {
+    myThemeVote = null;
+    endOverlay.classList.add('hidden');
+    standingsOverlay.classList.add('hidden');
+    appendLog(`🗳️ Round ${round} — votez pour le thème !`);
+    showThemeDraft(options, {}, durationMs);
+  });
+  socket.on('theme:votes', ({ counts }) => {
+    renderThemeDraft(counts);
+  });
+  socket.on('theme:chosen', ({ theme }) => {
+    hideThemeDraft();
+    appendLog(`🎯 Thème choisi : <b>${escapeHtml(theme)}</b>`);
   });
 
   // Round start: announce theme and round
   socket.on('round:start', ({ round, theme }) => {
+    hideThemeDraft();
+    standingsOverlay.classList.add('hidden');
     appendLog(`<b>Round ${round}</b> — Thème: <b>${escapeHtml(theme)}</b>`);
     lockedWord = null;
     wordInput.value = '';
@@ -163,6 +487,7 @@
     // Masquer les lettres punies au début d'un nouveau round
     punishedEl.classList.add('hidden');
     punishedLettersEl.textContent = '';
+    renderConstraint(null);
     // Masquer et réinitialiser la zone d’élimination
     if (elimPopup) {
       elimPopup.classList.add('hidden');
@@ -172,12 +497,45 @@
     stopVoteTimer();
   });
 
+  // Défi du jour : seule la première tentative de la journée est classée
+  socket.on('daily:start', ({ date, ranked }) => {
+    appendLog(ranked
+      ? `📅 Défi du jour (${escapeHtml(date)}) : tentative classée !`
+      : `📅 Défi du jour (${escapeHtml(date)}) : entraînement, ta tentative classée a déjà été jouée.`);
+  });
+
+  // Fin d'une partie solo : score comparé au record personnel
+  socket.on('solo:result', (result) => {
+    soloResult = result;
+    appendLog(`🎯 ${escapeHtml(soloText(result))}`);
+  });
+
+  // Nouveau record de niveau en mode sans fin
+  socket.on('record:new', (record) => {
+    renderLevelRecord(record);
+    appendLog(`🏔️ Nouveau record : niveau <b>${record.level}</b> !`);
+  });
+
+  // Départage des meneurs à égalité en fin de match : eux seuls rejouent
+  socket.on('tiebreak:start', ({ players, maxTurns }) => {
+    standingsOverlay.classList.add('hidden');
+    endOverlay.classList.add('hidden');
+    turnAreaEl.classList.remove('hidden');
+    usedWordsListEl.innerHTML = '';
+    const names = players.map((p) => escapeHtml(p.name)).join(', ');
+    appendLog(`⚔️ Égalité : mort subite entre <b>${names}</b> (${maxTurns} tours max)`);
+    turnInfoEl.textContent = `⚔️ Mort subite entre ${players.map((p) => p.name).join(', ')}`;
+  });
+
   // Turn start : reset, afficher le timer et les lettres punies/obligatoires. Le serveur
   // transmet également punishedLetters et letterRuleType lorsque le niveau le permet.
-  socket.on('turn:start', ({ turn, turnMs, punishedLetters, letterRuleType }) => {
+  socket.on('turn:start', ({ turn, turnMs, punishedLetters, letterRuleType, constraint, suddenDeath }) => {
     turnEl.textContent = turn;
     lockedWord = null;
-    turnInfoEl.textContent = '';
+    turnInfoEl.textContent = suddenDeath ? '⚔️ Mort subite' : '';
+    jokerPhase = 'turn';
+    jokerFeedEl.textContent = '';
+    renderJokers();
     // Préparer l’input selon qu’on est vivant ou non
     if (iAmAlive) {
       wordInput.disabled = false;
@@ -193,21 +551,10 @@
     // Masquer la zone de vote en début de tour
     voteAreaEl.classList.add('hidden');
     voteAreaEl.innerHTML = '';
-    // Mettre à jour l’affichage des lettres punies ou obligatoires. On adapte
-    // le titre et la couleur selon letterRuleType. Si aucune lettre, on masque.
-    if (punishedLetters && punishedLetters.length) {
-      punishedEl.classList.remove('hidden');
-      const type = letterRuleType === 'require' ? 'require' : 'forbid';
-      if (punishedTitleEl) {
-        punishedTitleEl.textContent = (type === 'require') ? 'Lettres Obligatoires :' : 'Lettres Bannies :';
-        punishedTitleEl.style.color = (type === 'require') ? '#1db954' : '';
-      }
-      punishedLettersEl.style.color = (type === 'require') ? '#1db954' : '';
-      punishedLettersEl.textContent = punishedLetters.map((c) => c.toUpperCase()).join(' ');
-    } else {
-      punishedEl.classList.add('hidden');
-      punishedLettersEl.textContent = '';
-    }
+    // Mettre à jour l’affichage des lettres punies ou obligatoires et de
+    // la contrainte de mot
+    renderLetters(punishedLetters, letterRuleType);
+    renderConstraint(constraint);
     // Cacher et réinitialiser le pop‑up d’élimination au début du tour
     if (elimPopup) {
       elimPopup.classList.add('hidden');
@@ -235,24 +582,32 @@
     turnInfoEl.textContent = `${submitted} joueur(s) ont soumis.`;
   });
   // Turn end: reveal submissions and elimination results
-  socket.on('turn:end', ({ submissions, eliminated, usedWords, voteDurationMs }) => {
+  socket.on('turn:end', ({ submissions, faults, points = {}, usedWords, voteDurationMs }) => {
     // Arrêter la barre de tour
     stopTimer();
+    jokerPhase = 'vote';
+    renderJokers();
     // Réinitialiser et démarrer la barre de vote avec la durée fournie
     if (voteDurationMs) startVoteTimer(voteDurationMs);
     const lines = submissions.map((s) => {
-      const elim = eliminated.includes(s.id);
-      return `${escapeHtml(s.name)} → <code>${escapeHtml(s.word)}</code> ${elim ? '❌' : '✅'}`;
+      const elim = faults.includes(s.id);
+      const gained = points[s.id] ? ` ${formatPoints(points[s.id])}` : '';
+      return `${escapeHtml(s.name)} → <code>${escapeHtml(s.word)}</code> ${elim ? '❌' : '✅'}${gained}`;
     }).join('<br>');
+    // Détail des points gagnés par le joueur pendant ce tour
+    if (points[myId]) turnInfoEl.textContent = `${formatPoints(points[myId])} pts`;
     appendLog(lines || '(Aucune soumission)');
     renderUsedWords(usedWords);
     wordInput.disabled = true;
     // Préparer la phase de vote : stocker les soumissions et réinitialiser le suivi des votes.
-    currentSubmissions = submissions;
+    // Les doublons déjà sanctionnés ne sont pas soumis au vote.
+    currentSubmissions = submissions.filter((s) => !faults.includes(s.id));
     votedTargets = new Set();
-    // Afficher ou masquer la zone de vote selon si on est vivant
-    if (iAmAlive) {
-      renderVoteArea(submissions);
+    voteCounts = {};
+    // Afficher ou masquer la zone de vote selon si on est vivant (pas de
+    // vote en solo ni en mort subite : durée nulle)
+    if (iAmAlive && voteDurationMs) {
+      renderVoteArea(currentSubmissions);
       voteAreaEl.classList.remove('hidden');
     } else {
       voteAreaEl.classList.add('hidden');
@@ -266,6 +621,8 @@
   });
   // Round end: announce winner if any
   socket.on('round:end', ({ winner, round }) => {
+    jokerPhase = null;
+    renderJokers();
     if (winner) {
       appendLog(`🏆 <b>${escapeHtml(winner.name)}</b> gagne le round ${round}!`);
     } else {
@@ -277,6 +634,7 @@
     // Masquer les lettres punies en fin de round
     punishedEl.classList.add('hidden');
     punishedLettersEl.textContent = '';
+    renderConstraint(null);
     // Masquer la zone d’élimination en fin de round
     if (elimPopup) {
       elimPopup.classList.add('hidden');
@@ -285,26 +643,35 @@
     // Arrêter la barre de vote en fin de round
     stopVoteTimer();
   });
+  // Classement entre deux rounds : le round suivant démarre tout seul
+  socket.on('round:standings', (data) => {
+    const show = () => showStandings(data, data.nextRoundMs);
+    if (elimPopupActive) setTimeout(show, 2000);
+    else show();
+  });
   // Game end: display scoreboard overlay. On attend la fin d'un éventuel
   // pop‑up d’élimination avant d'afficher le tableau, afin que les joueurs
   // aient le temps de lire les raisons d’élimination.
   socket.on('game:end', (data) => {
     const showGameEnd = () => {
-      const { winner, round, scores } = data;
+      const { winner, winners, tiebreak, scores } = data;
+      standingsOverlay.classList.add('hidden');
       endOverlay.classList.remove('hidden');
-      // Construire le tableau des scores
-      let html = '<table class="scoreTable"><thead><tr><th>Joueur</th><th>Score</th></tr></thead><tbody>';
-      scores.forEach((s) => {
-        html += `<tr><td>${escapeHtml(s.name)}${s.online ? '' : ' <span class="muted">(hors-ligne)</span>'}</td><td>${s.score}</td></tr>`;
-      });
-      html += '</tbody></table>';
-      scoreTableEl.innerHTML = html;
+      if (winners && winners.length > 1) {
+        appendLog(`🥇 <b>${winners.map((w) => escapeHtml(w.name)).join(', ')}</b> se partagent la victoire !`);
+      } else if (winner) {
+        appendLog(`🥇 <b>${escapeHtml(winner.name)}</b> remporte le match !`);
+      }
+      endInfoEl.textContent = tiebreakText(tiebreak, winners || []) || soloText(soloResult);
+      soloResult = null;
+      scoreTableEl.innerHTML = scoreTableHtml(scores);
       // Cacher la zone de vote en fin de partie
       voteAreaEl.classList.add('hidden');
       voteAreaEl.innerHTML = '';
       // Cacher également les lettres punies
       punishedEl.classList.add('hidden');
       punishedLettersEl.textContent = '';
+      renderConstraint(null);
       // Cacher la zone d’élimination en fin de partie
       if (elimPopup) {
         elimPopup.classList.add('hidden');
@@ -328,6 +695,7 @@
   // Host sends players back to menu: hide overlay and turn area
   socket.on('game:menu', () => {
     endOverlay.classList.add('hidden');
+    hideThemeDraft();
     turnAreaEl.classList.add('hidden');
     // Masquer la zone de vote
     voteAreaEl.classList.add('hidden');
@@ -335,6 +703,7 @@
     // Masquer les lettres punies
     punishedEl.classList.add('hidden');
     punishedLettersEl.textContent = '';
+    renderConstraint(null);
     // Masquer la zone d’élimination
     if (elimPopup) {
       elimPopup.classList.add('hidden');
@@ -358,13 +727,14 @@
   function renderVoteArea(submissions) {
     // Construire les lignes HTML de vote. On évite de voter contre soi‑même.
     const rows = submissions.map((sub) => {
-      const isMine = sub.id === socket.id;
+      const isMine = sub.id === myId;
       const alreadyVoted = votedTargets.has(sub.id);
       const disabled = isMine || alreadyVoted || !iAmAlive;
       // Bouton affiché : un checkmark pour signaler. On utilise une croix si le bouton est désactivé.
       const label = disabled ? '❌' : '✅';
       const btnHtml = `<button data-target="${sub.id}" ${disabled ? 'disabled' : ''}>${label}</button>`;
-      return `<div class="vote-row">${escapeHtml(sub.name)} → <code>${escapeHtml(sub.word)}</code>${btnHtml}</div>`;
+      const count = voteCounts[sub.id] ? ` <span class="vote-count">🚩 ${voteCounts[sub.id]}</span>` : '';
+      return `<div class="vote-row">${escapeHtml(sub.name)} → <code>${escapeHtml(sub.word)}</code>${btnHtml}${count}</div>`;
     }).join('');
     voteAreaEl.innerHTML = rows;
     // Ajouter des écouteurs de clic aux boutons
@@ -372,7 +742,7 @@
       btn.addEventListener('click', () => {
         const target = btn.getAttribute('data-target');
         // Vérifier conditions locales avant d'émettre
-        if (!votedTargets.has(target) && iAmAlive && target !== socket.id) {
+        if (!votedTargets.has(target) && iAmAlive && target !== myId) {
           votedTargets.add(target);
           socket.emit('turn:vote', { target });
           // Désactiver et changer le label en croix
@@ -383,19 +753,33 @@
     });
   }
 
+  /**
+   * Un joueur (ou un bot) a voté contre un mot : mettre à jour le compteur
+   * affiché à côté du mot.
+   */
+  socket.on('vote:cast', ({ voterName, target, votes }) => {
+    voteCounts[target] = votes;
+    const sub = currentSubmissions.find((s) => s.id === target);
+    if (sub) appendLog(`🚩 <b>${escapeHtml(voterName)}</b> conteste « ${escapeHtml(sub.word)} » (${votes} voix)`);
+    if (iAmAlive && !voteAreaEl.classList.contains('hidden')) renderVoteArea(currentSubmissions);
+  });
+
   /**
    * Réception d'une élimination par vote. Le serveur envoie les ids
    * des joueurs disqualifiés. On met à jour l’état local, on affiche
    * un message et on désactive l'input si nous sommes éliminé.
    */
-  socket.on('vote:eliminated', ({ ids }) => {
+  socket.on('vote:eliminated', ({ ids, lives = {} }) => {
     ids.forEach((id) => {
+      const out = !(lives[id] > 0);
       // Trouver la soumission correspondante pour récupérer le nom
       const sub = currentSubmissions.find((s) => s.id === id);
       if (sub) {
-        appendLog(`⚠️ ${escapeHtml(sub.name)} est disqualifié pour mot hors‑sujet.`);
+        appendLog(out
+          ? `⚠️ ${escapeHtml(sub.name)} est disqualifié pour mot hors‑sujet.`
+          : `💔 ${escapeHtml(sub.name)} perd une vie pour mot hors‑sujet.`);
       }
-      if (id === socket.id) {
+      if (id === myId && out) {
         iAmAlive = false;
         wordInput.disabled = true;
       }
@@ -415,15 +799,36 @@
    */
   socket.on('room:closed', ({ reason }) => {
     appendLog(`⚠️ La room a été fermée (${escapeHtml(reason)}). Vous retournez à l'accueil.`);
-    // Réinitialiser l’UI
+    clearSession();
+    resetToJoinScreen();
+  });
+  /**
+   * Exclusion par l’host (reason = 'kick' ou 'ban') : retour à l’accueil
+   * avec le motif affiché sur l’écran de connexion.
+   */
+  socket.on('room:kicked', ({ reason }) => {
+    clearSession();
+    resetToJoinScreen();
+    joinErrorEl.textContent = reason === 'ban'
+      ? 'Tu as été banni de cette room par l’host.'
+      : 'Tu as été exclu de la room par l’host.';
+    joinErrorEl.classList.remove('hidden');
+  });
+  /**
+   * Réinitialise l’UI et remet le joueur sur l’écran de connexion.
+   */
+  function resetToJoinScreen() {
     lobbyEl.classList.add('hidden');
     endOverlay.classList.add('hidden');
+    standingsOverlay.classList.add('hidden');
     joinEl.classList.remove('hidden');
+    loadPersonalBests();
     // Réinitialiser les champs
     lockedWord = null;
     iAmAlive = false;
     isHost = false;
     joined = false;
+    myId = null;
     wordInput.value = '';
     nameInput.value = '';
     roomCodeInput.value = '';
@@ -433,12 +838,15 @@
     themeEl.textContent = '-';
     turnEl.textContent = '0';
     logEl.innerHTML = '';
+    chatMessagesEl.innerHTML = '';
+    chatInfoEl.textContent = '';
+    hideThemeDraft();
     // Réinitialiser la zone d’élimination
     if (elimPopup) {
       elimPopup.classList.add('hidden');
       elimPopup.innerHTML = '';
     }
-  });
+  }
 
   /**
    * Réception d’un pop‑up d’élimination. Le serveur envoie soit une liste
@@ -460,18 +868,22 @@
           reasonText = "n'a pas écrit de mot à temps";
         } else if (item.reason === 'duplicate') {
           reasonText = 'a fait Chips';
+        } else if (item.reason === 'duplicateLate') {
+          reasonText = 'a fait Chips (proposé en premier par un autre)';
+        } else if (item.reason === 'duplicatePenalty') {
+          return `<div class="elim-row"><strong>${escapeHtml(item.name)}</strong> — a fait Chips, −${item.penalty} points</div>`;
         } else {
           // Par défaut, considérer que c'est un mot hors‑sujet
           reasonText = 'mot hors‑sujet';
         }
-        return `<div class="elim-row"><strong>${escapeHtml(item.name)}</strong> — ${escapeHtml(reasonText)}</div>`;
+        return `<div class="elim-row"><strong>${escapeHtml(item.name)}</strong> — ${escapeHtml(reasonText)}${livesText(item)}</div>`;
       }).join('');
     } else if (data && Array.isArray(data.events)) {
       // Cas des éliminations par vote : chaque event contient une liste de players
       html = data.events.map((ev) => {
         return ev.players.map((pl) => {
           const reasonText = 'mot hors‑sujet';
-          return `<div class="elim-row"><strong>${escapeHtml(pl.name)}</strong> — ${escapeHtml(reasonText)}</div>`;
+          return `<div class="elim-row"><strong>${escapeHtml(pl.name)}</strong> — ${escapeHtml(reasonText)}${livesText(pl)}</div>`;
         }).join('');
       }).join('');
     }
@@ -490,18 +902,287 @@
   });
 
   /**
-   * Render the list of players with their status and scores.
+   * Affiche les jokers du joueur avec leur nombre restant. Un bouton n’est
+   * actif que pendant la phase où le joker peut être joué.
+   */
+  function renderJokers() {
+    const total = Object.values(myJokers).reduce((a, b) => a + b, 0);
+    jokerBarEl.classList.toggle('hidden', total === 0 || iAmSpectator);
+    jokerBarEl.innerHTML = Object.entries(JOKERS).map(([type, def]) => {
+      const count = myJokers[type] || 0;
+      const disabled = count === 0 || !iAmAlive || jokerPhase !== def.phase ? 'disabled' : '';
+      return `<button type="button" data-joker="${type}" ${disabled}>${def.label}<span class="count">×${count}</span></button>`;
+    }).join('');
+  }
+  /**
+   * Détail des points d’un tour, par ex. « +7 (vitesse) +2 (longueur) ».
+   * @param {Object} entry { total, parts: [{ rule, points }] }
+   * @returns {string}
+   */
+  function formatPoints(entry) {
+    const labels = { speed: 'vitesse', survival: 'survie', length: 'longueur', rarity: 'rareté' };
+    return entry.parts.map((p) => `+${p.points} (${labels[p.rule] || p.rule})`).join(' ');
+  }
+  /**
+   * Résumé d'une partie solo (vide si aucune).
+   * @param {Object|null} result { theme, score, level, best, previous, improved }
+   * @returns {string}
+   */
+  function soloText(result) {
+    if (!result) return '';
+    const run = `${result.score} points, niveau ${result.level} (${result.theme})`;
+    if (result.daily) {
+      return result.daily.ranked
+        ? `Défi du jour : ${run}, ${result.daily.rank}${result.daily.rank === 1 ? 'er' : 'e'} du classement.`
+        : `Défi du jour (entraînement) : ${run}.`;
+    }
+    if (!result.best) return `Partie solo : ${run}.`;
+    if (result.improved) {
+      return result.previous
+        ? `Nouveau record personnel : ${run}, ancien record ${result.previous.score} points.`
+        : `Premier record personnel : ${run}.`;
+    }
+    return `Partie solo : ${run}. Record personnel : ${result.best.score} points, niveau ${result.best.level}.`;
+  }
+  /**
+   * Records personnels du mode solo, affichés sur l'écran de connexion.
+   */
+  function loadPersonalBests() {
+    const identity = loadIdentity();
+    if (!identity) return;
+    socket.emit('solo:bests', { identity }, (res) => {
+      const bests = res?.bests || [];
+      personalBestsEl.classList.toggle('hidden', bests.length === 0);
+      personalBestsEl.innerHTML = '<h3>🎯 Vos records solo</h3><ul>'
+        + bests.map((b) => `<li><span>${escapeHtml(b.theme)}</span><span>${b.score} pts · niv. ${b.level}</span></li>`).join('')
+        + '</ul>';
+    });
+  }
+  /**
+   * Record de la room en mode sans fin (plus haut niveau atteint).
+   * @param {Object|null} record { level, round, theme, winner }
+   */
+  function renderLevelRecord(record) {
+    levelRecordEl.classList.toggle('hidden', !record);
+    if (!record) return;
+    const by = record.winner ? ` par ${record.winner}` : '';
+    levelRecordEl.textContent = `🏔️ Record sans fin : niveau ${record.level}${by} (${record.theme})`;
+  }
+  /**
+   * Explication du départage en fin de match (vide sans égalité).
+   * @param {Object|null} tiebreak { method, turns, players }
+   * @param {Array} winners Vainqueurs { id, name }
+   * @returns {string}
+   */
+  function tiebreakText(tiebreak, winners) {
+    if (!tiebreak) return '';
+    const tied = `Égalité entre ${tiebreak.players.join(', ')}`;
+    const turns = `${tiebreak.turns} tour${tiebreak.turns > 1 ? 's' : ''}`;
+    if (tiebreak.method === 'suddenDeath') {
+      return `${tied} : ${winners[0]?.name} l'emporte en mort subite (${turns}).`;
+    }
+    return `${tied} : pas de vainqueur après ${turns} de mort subite, victoire partagée.`;
+  }
+  /**
+   * Suffixe du pop‑up d’élimination : vies restantes si le joueur n’est
+   * pas encore éliminé.
+   * @param {Object} item { livesLeft, eliminated }
+   * @returns {string}
+   */
+  function livesText(item) {
+    if (item.eliminated !== false) return '';
+    return ` <span class="lives">💔 ${'❤️'.repeat(item.livesLeft)}</span>`;
+  }
+  /**
+   * Tableau HTML des scores (fin de partie et classement intermédiaire).
+   * @param {Array} scores Liste {name, score, online} triée
+   * @returns {string}
+   */
+  function scoreTableHtml(scores) {
+    let html = '<table class="scoreTable"><thead><tr><th>Joueur</th><th>Score</th></tr></thead><tbody>';
+    scores.forEach((s) => {
+      html += `<tr><td>${escapeHtml(s.name)}${s.online ? '' : ' <span class="muted">(hors-ligne)</span>'}</td><td>${s.score}</td></tr>`;
+    });
+    return html + '</tbody></table>';
+  }
+  /**
+   * Affiche le classement après un round du match. L’overlay se ferme au
+   * vote du thème suivant (ou au début du round).
+   * @param {Object} data { round, winner, scores, match }
+   * @param {number} remainingMs Temps avant le round suivant
+   */
+  function showStandings(data, remainingMs) {
+    const { match } = data;
+    standingsTitleEl.textContent = `Classement après le round ${data.round}`;
+    const goal = match
+      ? (match.mode === 'points' ? `Premier à ${match.target} points` : `Round ${data.round} / ${match.target}`)
+      : '';
+    const next = `Round suivant dans ${Math.ceil(remainingMs / 1000)} s`;
+    standingsInfoEl.textContent = goal ? `${goal} — ${next}` : next;
+    standingsTableEl.innerHTML = scoreTableHtml(data.scores);
+    standingsOverlay.classList.remove('hidden');
+  }
+  /**
+   * Render the list of players with their status and scores. The host
+   * also gets moderation buttons (transfer, kick, ban) for other players.
    * @param {Array} players
+   * @param {string} hostId
+   * @param {number} maxLives Vies par round (cœurs affichés si > 1)
    */
-  function renderPlayers(players) {
+  function renderPlayers(players, hostId, maxLives) {
     const rows = players.map((p) => {
-      const tag = p.id === socket.id ? ' (toi)' : '';
-      const status = p.alive ? 'alive' : 'dead';
+      const tag = p.id === myId ? ' (toi)' : '';
+      const spectator = p.role === 'spectator';
+      const status = spectator ? 'spectator' : (p.alive ? 'alive' : 'dead');
       const offline = p.online ? '' : ' <span class="muted">(hors-ligne)</span>';
-      return `<div class="player ${status}"><span>• ${escapeHtml(p.name)}${tag}${offline}</span><span>${p.score} pts</span></div>`;
+      const score = spectator ? '👁️' : `${p.score} pts`;
+      const bot = p.isBot ? ` 🤖 <span class="muted">(${p.external ? 'externe' : BOT_LEVEL_LABELS[p.botLevel]})</span>` : '';
+      const crown = p.id === hostId ? ' 👑' : '';
+      const muted = p.muted ? ' 🔇' : '';
+      const hearts = maxLives > 1 && p.alive ? ` <span class="lives">${'❤️'.repeat(p.lives)}</span>` : '';
+      let actions = '';
+      if (isHost && p.id !== myId) {
+        const target = escapeHtml(p.id);
+        actions = '<span class="player-actions">'
+          + (p.isBot || !p.online ? '' : `<button type="button" data-action="transfer" data-target="${target}" title="Donner le rôle d’host">👑</button>`)
+          + (p.isBot ? '' : `<button type="button" data-action="${p.muted ? 'unmute' : 'mute'}" data-target="${target}" title="${p.muted ? 'Rendre la parole' : 'Rendre muet'}">${p.muted ? '🔊' : '🔇'}</button>`)
+          + (p.isBot && !p.external
+            ? `<button type="button" data-action="bot-remove" data-target="${target}" title="Retirer le bot">⛔</button>`
+            : `<button type="button" data-action="kick" data-target="${target}" title="Exclure">⛔</button>`)
+          + (p.isBot ? '' : `<button type="button" data-action="ban" data-target="${target}" title="Bannir">🚫</button>`)
+          + '</span>';
+      }
+      return `<div class="player ${status}"><span>• ${escapeHtml(p.name)}${bot}${crown}${muted}${tag}${offline}${hearts}</span><span>${score}${actions}</span></div>`;
     }).join('');
     playersEl.innerHTML = rows || '<em>Aucun joueur…</em>';
   }
+  /**
+   * Remplit le formulaire des réglages à partir de settings. Les champs
+   * simples sont retrouvés par leur attribut name ; la courbe des timers
+   * et les thèmes sont reconstruits. Les champs ne sont modifiables que
+   * par l'host.
+   * @param {Object} settings Réglages de la room
+   * @param {Array|null} themes Thèmes sélectionnables (null = inchangés)
+   */
+  function renderSettings(settings, themes) {
+    if (!settings) return;
+    const values = { ...settings, voteDurationSec: settings.voteDurationMs / 1000 };
+    settingsForm.querySelectorAll('input[name], select[name]').forEach((input) => {
+      if (!(input.name in values)) return;
+      if (input.type === 'checkbox') input.checked = !!values[input.name];
+      else input.value = values[input.name];
+    });
+    settingsRangesEl.innerHTML = settings.levelRanges.map((r) => (
+      '<div class="range-row">Niveaux '
+      + `<input type="number" data-field="start" min="1" max="100" value="${r.start}" /> à `
+      + `<input type="number" data-field="end" min="1" max="100" value="${r.end}" /> : `
+      + `<input type="number" data-field="startSec" min="2" max="30" step="0.5" value="${r.startSec}" /> s → `
+      + `<input type="number" data-field="endSec" min="2" max="30" step="0.5" value="${r.endSec}" /> s`
+      + '</div>'
+    )).join('');
+    if (themes) {
+      settingsThemesEl.innerHTML = themes.map((t) => (
+        `<label><input type="checkbox" data-theme="${escapeHtml(t)}" ${settings.themes.includes(t) ? 'checked' : ''} /> ${escapeHtml(t)}</label>`
+      )).join('');
+    } else {
+      settingsThemesEl.querySelectorAll('input[data-theme]').forEach((box) => {
+        box.checked = settings.themes.includes(box.getAttribute('data-theme'));
+      });
+    }
+    settingsForm.querySelectorAll('input, select').forEach((input) => {
+      input.disabled = !isHost;
+    });
+    settingsSaveBtn.classList.toggle('hidden', !isHost);
+  }
+  /**
+   * Affiche les listes personnalisées de la room. L'host peut les retirer.
+   * @param {Array} lists Listes {theme, size}
+   */
+  function renderCustomLists(lists) {
+    customListsEl.innerHTML = lists.map((l) => {
+      const btn = isHost ? `<button type="button" data-remove="${escapeHtml(l.theme)}">Retirer</button>` : '';
+      return `<div class="custom-list"><span>${escapeHtml(l.theme)} <span class="muted">(${l.size} mots)</span></span>${btn}</div>`;
+    }).join('');
+    customListsEl.querySelectorAll('button[data-remove]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        socket.emit('room:wordlist', { theme: btn.getAttribute('data-remove'), remove: true }, (res) => {
+          if (!res?.ok) wordListInfoEl.textContent = `⚠️ ${res?.error || 'Erreur'}`;
+        });
+      });
+    });
+  }
+  /**
+   * Lit le formulaire des réglages pour l'envoyer au serveur (room:settings).
+   * @returns {Object} Réglages saisis par l'host
+   */
+  function collectSettings() {
+    const patch = {};
+    settingsForm.querySelectorAll('input[name]').forEach((input) => {
+      patch[input.name] = input.type === 'checkbox' ? input.checked : Number(input.value);
+    });
+    settingsForm.querySelectorAll('select[name]').forEach((select) => {
+      patch[select.name] = select.value;
+    });
+    patch.voteDurationMs = Math.round(patch.voteDurationSec * 1000);
+    delete patch.voteDurationSec;
+    patch.levelRanges = [...settingsRangesEl.querySelectorAll('.range-row')].map((row) => {
+      const range = {};
+      row.querySelectorAll('input[data-field]').forEach((input) => {
+        range[input.getAttribute('data-field')] = Number(input.value);
+      });
+      return range;
+    });
+    patch.themes = [...settingsThemesEl.querySelectorAll('input[data-theme]:checked')]
+      .map((box) => box.getAttribute('data-theme'));
+    return patch;
+  }
+  /**
+   * Affiche les thèmes proposés avec leur nombre de voix. Un clic envoie
+   * theme:vote ; on peut changer d'avis tant que le vote est ouvert.
+   * @param {Object} counts Association thème -> nombre de voix
+   */
+  function renderThemeDraft(counts) {
+    themeOptionsEl.innerHTML = draftOptions.map((t) => {
+      const selected = t === myThemeVote ? ' selected' : '';
+      return `<button data-theme="${escapeHtml(t)}" class="${selected}">${escapeHtml(t)}<span class="votes">${counts[t] || 0}</span></button>`;
+    }).join('');
+    themeOptionsEl.querySelectorAll('button[data-theme]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        myThemeVote = btn.getAttribute('data-theme');
+        socket.emit('theme:vote', { theme: myThemeVote });
+        themeOptionsEl.querySelectorAll('button').forEach((b) => b.classList.toggle('selected', b === btn));
+      });
+    });
+  }
+  /**
+   * Affiche la zone de vote du thème avec un compte à rebours.
+   * @param {Array} options Thèmes proposés
+   * @param {Object} counts Nombre de voix par thème
+   * @param {number} remainingMs Temps restant avant la clôture du vote
+   */
+  function showThemeDraft(options, counts, remainingMs) {
+    draftOptions = options;
+    renderThemeDraft(counts);
+    themeDraftEl.classList.remove('hidden');
+    const endsAt = Date.now() + remainingMs;
+    clearInterval(draftCountdown);
+    const tick = () => {
+      const left = Math.max(0, Math.ceil((endsAt - Date.now()) / 1000));
+      themeDraftTimeEl.textContent = `(${left}s)`;
+      if (left === 0) clearInterval(draftCountdown);
+    };
+    tick();
+    draftCountdown = setInterval(tick, 250);
+  }
+  /**
+   * Masque la zone de vote du thème et arrête son compte à rebours.
+   */
+  function hideThemeDraft() {
+    clearInterval(draftCountdown);
+    draftCountdown = null;
+    themeDraftEl.classList.add('hidden');
+    themeOptionsEl.innerHTML = '';
+  }
   /**
    * Render the list of used words in the current round.
    * @param {Array} words
@@ -511,13 +1192,49 @@
       ? words.map((w) => `<code>${escapeHtml(w)}</code>`).join(' ')
       : '<em>Aucun pour le moment</em>';
   }
+  /**
+   * Affiche les lettres du tour. On adapte le titre et la couleur selon
+   * letterRuleType (bannies ou obligatoires). Si aucune lettre, on masque.
+   * @param {Array} letters Lettres du tour
+   * @param {string} letterRuleType "forbid" ou "require"
+   */
+  function renderLetters(letters, letterRuleType) {
+    if (letters && letters.length) {
+      punishedEl.classList.remove('hidden');
+      const type = letterRuleType === 'require' ? 'require' : 'forbid';
+      if (punishedTitleEl) {
+        punishedTitleEl.textContent = (type === 'require') ? 'Lettres Obligatoires :' : 'Lettres Bannies :';
+        punishedTitleEl.style.color = (type === 'require') ? '#1db954' : '';
+      }
+      punishedLettersEl.style.color = (type === 'require') ? '#1db954' : '';
+      punishedLettersEl.textContent = letters.map((c) => c.toUpperCase()).join(' ');
+    } else {
+      punishedEl.classList.add('hidden');
+      punishedLettersEl.textContent = '';
+    }
+  }
+  /**
+   * Affiche la contrainte de mot du tour (première lettre imposée,
+   * longueur minimale ou maximale). Masquée s’il n’y en a pas.
+   * @param {Object|null} constraint { type, letter } ou { type, length }
+   */
+  function renderConstraint(constraint) {
+    let text = '';
+    if (constraint?.type === 'startsWith') text = `Le mot commence par ${constraint.letter.toUpperCase()}`;
+    else if (constraint?.type === 'minLength') text = `Au moins ${constraint.length} lettres`;
+    else if (constraint?.type === 'maxLength') text = `Au plus ${constraint.length} lettres`;
+    constraintEl.textContent = text ? `📏 ${text}` : '';
+    constraintEl.classList.toggle('hidden', !text);
+  }
   /**
    * Start a visual timer for the given duration. Uses requestAnimationFrame
-   * so the fill bar animates smoothly.
+   * so the fill bar animates smoothly. elapsedMs lets a reconnecting
+   * player resume the bar where the turn currently is.
    * @param {number} ms
+   * @param {number} [elapsedMs]
    */
-  function startTimer(ms) {
-    const start = performance.now();
+  function startTimer(ms, elapsedMs = 0) {
+    const start = performance.now() - elapsedMs;
     const end = start + ms;
     timerFill.style.transition = 'none';
     timerFill.style.width = '0%';
@@ -587,6 +1304,44 @@
     logEl.appendChild(div);
     logEl.scrollTop = logEl.scrollHeight;
   }
+  /**
+   * Session de jeu conservée dans le navigateur ({ code, token }).
+   */
+  function saveSession(session) {
+    try {
+      localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    } catch (_) {
+      // stockage indisponible (navigation privée) : pas de reprise possible
+    }
+  }
+  function loadSession() {
+    try {
+      return JSON.parse(localStorage.getItem(SESSION_KEY));
+    } catch (_) {
+      return null;
+    }
+  }
+  function saveIdentity(identity) {
+    try {
+      if (identity) localStorage.setItem(IDENTITY_KEY, identity);
+    } catch (_) {
+      // stockage indisponible : une nouvelle identité à chaque visite
+    }
+  }
+  function loadIdentity() {
+    try {
+      return localStorage.getItem(IDENTITY_KEY);
+    } catch (_) {
+      return null;
+    }
+  }
+  function clearSession() {
+    try {
+      localStorage.removeItem(SESSION_KEY);
+    } catch (_) {
+      // rien à faire
+    }
+  }
   /**
    * Escape HTML entities for safe rendering.
    * @param {string} str
@@ -1,138 +1,365 @@
+const crypto = require("node:crypto");
+const { respectsConstraint, wordLength, letterMask, wordPool } = require("../utils/wordUtils");
+const { wordCommonness } = require("../data/wordStats");
+const { clock } = require("../utils/clock");
+
 /**
- * Configuration du bot d'auto‑test
+ * Configuration des bots
  *
- * Pour permettre de tester le jeu en solo, on peut injecter un bot dans la
- * room lorsque l'host démarre une partie avec moins de deux joueurs humains.
- * Ce bot choisit automatiquement un mot valide et le soumet au milieu du
- * temps imparti pour le tour. Vous pouvez ajuster le comportement du bot
- * ici :
- * - delayFactor : fraction du temps du tour à attendre avant l'envoi du mot
- *   (0.5 signifie que le bot soumettra après la moitié du timer). Réglez
- *   cette valeur entre 0 et 1 selon la difficulté souhaitée.
+ * Pour permettre de tester le jeu en solo, un bot est injecté dans la room
+ * lorsque l'host démarre une partie avec moins de deux joueurs humains
+ * (bot « automatique », au niveau du réglage botLevel). L'host peut aussi
+ * remplir le lobby avec ses propres bots (bot:add), jusqu'à maxBots, chacun
+ * avec son nom et son niveau parmi les préréglages ci-dessous :
+ * - delay : fraction du temps du tour avant l'envoi du mot, tirée entre
+ *   min et max (plus souvent vers le milieu, comme un humain qui hésite) ;
+ * - rarePreference : entre -1 (préfère les mots les plus joués) et 1
+ *   (préfère les mots rares), d'après les statistiques du thème ou, sans
+ *   statistiques, la longueur des mots ;
+ * - missChance : probabilité de laisser passer le tour sans répondre ;
+ * - collideChance : probabilité de jouer volontairement le mot le plus
+ *   probable chez les humains pour provoquer un chips.
  */
 const BOT_CONFIG = {
-  delayFactor: 0.5,
+  defaultLevel: "normal",
+  presets: {
+    easy: { delay: { min: 0.55, max: 0.95 }, rarePreference: -1, missChance: 0.15, collideChance: 0.05 },
+    normal: { delay: { min: 0.35, max: 0.85 }, rarePreference: 0, missChance: 0.05, collideChance: 0.1 },
+    hard: { delay: { min: 0.15, max: 0.6 }, rarePreference: 1, missChance: 0.01, collideChance: 0.2 },
+  },
+  // Poids maximal d'un mot selon sa popularité (1 = tirage uniforme)
+  preferenceWeight: 5,
+  // Mots enregistrés pour un thème avant de tenir compte des statistiques
+  minPlays: 50,
+  // Mots jouables tirés au hasard et départagés par le bot à chaque tour
+  candidateSample: 300,
+  // Mots « évidents » connus d'un bot imitant un humain (simulateur)
+  humanVocabulary: 200,
+  // Nombre maximal de bots dans une room
+  maxBots: 4,
+  // Noms donnés aux bots, dans l'ordre ; « Bot N » une fois épuisés
+  names: ["Robotine", "Bipbip", "Octave", "Pixel", "Turing", "Ada"],
+};
+
+// Bots externes : programmes lancés dans des processus séparés, qui se
+// connectent avec bot:join et l'un des jetons de la variable
+// d'environnement BOT_TOKENS (séparés par des virgules). Sans jeton
+// configuré, bot:join est toujours refusé. Ils jouent comme des joueurs
+// (mêmes règles, même limite de débit des soumissions) et reçoivent en
+// plus, dans un canal propre à la room, le détail structuré de chaque tour
+// (bot:turn, bot:turnEnd).
+const EXTERNAL_BOT_CONFIG = {
+  tokens: new Set(String(process.env.BOT_TOKENS || "").split(",").map((t) => t.trim()).filter(Boolean)),
 };
 
 /**
- * Ajoute un bot à la room si aucun n'est présent. Le bot est identifié
- * par un identifiant unique (prefixe "bot-" avec un timestamp). Il est
- * ajouté à la Map players avec un nom « Bot », un score initial nul et
- * un statut online. Son champ alive est mis à false ; il sera réanimé
- * au début du round via startNewRound().
+ * Vérifie le jeton présenté par un bot externe (comparaison à temps
+ * constant avec chacun des jetons configurés).
+ *
+ * @param {*} token Jeton reçu
+ * @returns {boolean} true si le jeton figure dans BOT_TOKENS
+ */
+function isBotToken(token) {
+  if (typeof token !== "string" || !token) return false;
+  const given = crypto.createHash("sha256").update(token).digest();
+  let ok = false;
+  for (const t of EXTERNAL_BOT_CONFIG.tokens) {
+    if (crypto.timingSafeEqual(given, crypto.createHash("sha256").update(t).digest())) ok = true;
+  }
+  return ok;
+}
+
+/**
+ * Nom du canal Socket.IO des bots externes d'une room. Le « # » est
+ * refusé dans les codes de room (voir handlePlayerJoin()) : aucune room ne
+ * peut porter le nom du canal d'une autre.
+ *
+ * @param {string} code Le code de la room
+ * @returns {string} Le nom du canal
+ */
+function externalBotChannel(code) {
+  return `${code}#bots`;
+}
+
+/**
+ * Préréglage d'un bot, selon le niveau choisi à sa création.
+ *
+ * @param {Object} room La room
+ * @param {string} botId Le bot
+ * @returns {Object} Le préréglage de BOT_CONFIG.presets
+ */
+function botPreset(room, botId) {
+  return BOT_CONFIG.presets[room.bots.get(botId)?.level] || BOT_CONFIG.presets[BOT_CONFIG.defaultLevel];
+}
+
+/**
+ * Ajoute un bot à la room, sauf si elle en compte déjà maxBots. Le bot
+ * reçoit un identifiant unique (préfixe « bot- »), le premier nom libre de
+ * BOT_CONFIG.names et le niveau demandé (réglage botLevel de la room par
+ * défaut). Il est ajouté à la Map players avec un score initial nul et un
+ * statut online ; son champ alive est à false, il sera réanimé au début du
+ * round via startNewRound(). Un bot « automatique » est celui ajouté faute
+ * de joueurs humains : il repart dès que deux humains sont là.
  *
  * @param {Object} room La room où ajouter le bot
+ * @param {string} [level] Niveau du bot (clé de BOT_CONFIG.presets)
+ * @param {boolean} [auto=false] Bot ajouté automatiquement
+ * @returns {string|null} L'identifiant du bot, ou null si la limite est atteinte
  */
-function addBot(room) {
-  if (room.botId) return;
-  const botId = `bot-${Date.now()}`;
+function addBot(room, level = room.settings.botLevel, auto = false) {
+  if (room.bots.size >= BOT_CONFIG.maxBots) return null;
+  if (!Object.hasOwn(BOT_CONFIG.presets, level)) level = BOT_CONFIG.defaultLevel;
+  const taken = new Set([...room.players.values()].map((p) => p.name));
+  let name = BOT_CONFIG.names.find((n) => !taken.has(n));
+  for (let i = 2; !name; i++) if (!taken.has(`Bot ${i}`)) name = `Bot ${i}`;
+  const botId = `bot-${crypto.randomBytes(6).toString("hex")}`;
   room.players.set(botId, {
-    name: "Bot",
+    name,
     score: 0,
     alive: false,
     online: true,
   });
-  room.botId = botId;
+  room.bots.set(botId, { level, auto });
+  return botId;
+}
+
+/**
+ * Retire un bot de la room, avec sa soumission éventuelle et son timer.
+ *
+ * @param {Object} room La room
+ * @param {string} botId Le bot à retirer
+ * @returns {boolean} true si le bot existait
+ */
+function removeBot(room, botId) {
+  if (!room.bots.has(botId)) return false;
+  clock.clearTimeout(room.botTimers.get(botId));
+  room.botTimers.delete(botId);
+  room.bots.delete(botId);
+  room.players.delete(botId);
+  room.submissions.delete(botId);
+  room.submissionTimes.delete(botId);
+  // Comme pour un joueur retiré : ses votes ne comptent plus. L'appelant
+  // revérifie ensuite les seuils (voir settleVotes())
+  room.votes.delete(botId);
+  room.votes.forEach((voters) => voters.delete(botId));
+  return true;
 }
 
 /**
- * Supprime le bot de la room s'il existe. Utilisé lorsque suffisamment
- * de joueurs humains sont présents pour jouer sans l'aide du bot.
+ * Retire les bots de la room : tous, ou seulement les bots automatiques
+ * (quand suffisamment de joueurs humains sont présents pour jouer sans
+ * eux).
  *
- * @param {Object} room La room où retirer le bot
+ * @param {Object} room La room
+ * @param {boolean} [autoOnly=false] Ne retirer que les bots automatiques
  */
-function removeBot(room) {
-  if (room.botId) {
-    room.players.delete(room.botId);
-    room.botId = null;
+function removeBots(room, autoOnly = false) {
+  for (const [botId, bot] of room.bots) {
+    if (!autoOnly || bot.auto) removeBot(room, botId);
   }
 }
 
 /**
- * Sélectionne un mot pour le bot. Parcourt la banque de mots de la room
- * (room.wordSet) et renvoie le premier mot qui n'a pas encore été utilisé
- * (room.usedWords), qui n'a pas été soumis dans le tour courant et qui
- * ne contient pas de lettre punie. Les mots sont normalisés (sans
- * accent). Si aucun mot valide n'est trouvé, renvoie null.
+ * Liste des mots que le bot peut jouer : ni déjà utilisés, ni déjà soumis
+ * dans le tour, et respectant la règle de lettres et la contrainte du
+ * tour. Sur une grosse banque (plus de quatre fois
+ * BOT_CONFIG.candidateSample mots), on en tire au plus candidateSample au
+ * hasard plutôt que de tout parcourir à chaque tour ; si la règle est trop
+ * sélective pour les trouver ainsi, la banque est parcourue depuis une
+ * position aléatoire. Un bot imitant un humain ne voit pas les mots déjà
+ * soumis et s'en tient aux humanVocabulary premiers mots jouables de la
+ * banque (ceux du fichier du thème d'abord), les mêmes pour tous : d'où
+ * des chips, comme entre humains. Les mots sont normalisés (sans accent).
  *
  * @param {Object} room La room contenant wordSet, usedWords, punishedLetters
- * @returns {string|null} Un mot valide pour le bot ou null
+ * @param {Function} [rng=Math.random] Générateur aléatoire
+ * @param {boolean} [human=false] Bot imitant un humain
+ * @returns {string[]} Les mots jouables retenus, dans l'ordre de la banque
+ *   pour un bot imitant un humain
  */
-function pickBotWord(room) {
-  for (const word of room.wordSet) {
-    if (room.usedWords.has(word)) continue;
-    if (room.submissions.has(room.botId)) continue;
-    let skip = false;
-    // Vérifier les lettres punies
-    if (Array.isArray(room.punishedLetters) && room.punishedLetters.length > 0) {
-      for (const l of room.punishedLetters) {
-        if (word.includes(l)) {
-          skip = true;
-          break;
-        }
-      }
-      if (skip) continue;
+function botCandidates(room, rng = Math.random, human = false) {
+  const { words, masks } = wordPool(room.wordSet);
+  const submitted = new Set(human ? [] : room.submissions.values());
+  const lettersMask = letterMask(room.punishedLetters.join(""));
+  const required = room.letterRuleType === "require";
+  const playable = (i) => {
+    // Lettres bannies ou obligatoires, d'après le masque en cache
+    const hits = masks[i] & lettersMask;
+    if (required ? hits !== lettersMask : hits !== 0) return false;
+    const word = words[i];
+    if (room.usedWords.has(word) || submitted.has(word)) return false;
+    // Contrainte de mot du tour (première lettre, longueur)
+    return respectsConstraint(word, room.constraint);
+  };
+  if (human) {
+    const known = [];
+    for (let i = 0; i < words.length && known.length < BOT_CONFIG.humanVocabulary; i++) {
+      if (playable(i)) known.push(words[i]);
     }
-    // Vérifier que personne n'a soumis le même mot dans ce tour
-    let duplicateFound = false;
-    for (const [, w] of room.submissions) {
-      if (w === word) {
-        duplicateFound = true;
-        break;
-      }
+    return known;
+  }
+  const sample = BOT_CONFIG.candidateSample;
+  // Petite banque : tous les mots jouables
+  if (words.length <= sample * 4) return words.filter((word, i) => playable(i));
+  const picked = new Set();
+  for (let probe = 0; probe < sample * 10 && picked.size < sample; probe++) {
+    const i = Math.floor(rng() * words.length);
+    if (!picked.has(i) && playable(i)) picked.add(i);
+  }
+  if (picked.size < sample) {
+    const start = Math.floor(rng() * words.length);
+    for (let k = 0; k < words.length && picked.size < sample; k++) {
+      const i = (start + k) % words.length;
+      if (!picked.has(i) && playable(i)) picked.add(i);
     }
-    if (duplicateFound) continue;
-    return word;
   }
-  return null;
+  return [...picked].map((i) => words[i]);
+}
+
+/**
+ * Popularité estimée des mots quand le thème n'a pas de statistiques
+ * fiables (thème peu joué, liste personnalisée) : les mots courts passent
+ * pour les plus joués, de 1 pour le plus court des candidats à 0 pour le
+ * plus long.
+ *
+ * @param {string[]} words Les mots candidats
+ * @returns {number[]} La popularité estimée de chaque mot
+ */
+function lengthCommonness(words) {
+  const lengths = words.map(wordLength);
+  let min = Infinity;
+  let max = -Infinity;
+  for (const length of lengths) {
+    min = Math.min(min, length);
+    max = Math.max(max, length);
+  }
+  return lengths.map((length) => (max === min ? 1 : (max - length) / (max - min)));
+}
+
+/**
+ * Sélectionne un mot pour le bot selon son préréglage. Les mots jouables
+ * sont tirés au hasard, pondérés par leur popularité dans le thème
+ * (rarePreference) ; avec une probabilité collideChance, le bot vise au
+ * contraire l'un des mots les plus joués, ceux qu'un humain a le plus de
+ * chances d'avoir choisis. Sans statistiques fiables pour le thème, la
+ * popularité est estimée par la longueur (voir lengthCommonness()). Un
+ * bot imitant un humain (room.bots, champ human, posé par le simulateur)
+ * choisit le k-ième mot de son vocabulaire avec un poids 1/k : quelques
+ * mots évidents reviennent souvent. Si aucun mot valide n'est trouvé,
+ * renvoie null.
+ *
+ * @param {Object} room La room contenant wordSet, usedWords, punishedLetters
+ * @param {string} botId Le bot qui joue
+ * @param {Object} [preset] Le préréglage du bot (celui de son niveau par défaut)
+ * @param {Function} [rng=Math.random] Générateur aléatoire
+ * @returns {string|null} Un mot valide pour le bot ou null
+ */
+function pickBotWord(room, botId, preset = botPreset(room, botId), rng = Math.random) {
+  if (room.submissions.has(botId)) return null;
+  const human = !!room.bots.get(botId)?.human;
+  const words = botCandidates(room, rng, human);
+  if (words.length === 0) return null;
+  if (human) return pickWeighted(words, words.map((w, i) => 1 / (i + 1)), rng);
+  let commonness = words.map((w) => wordCommonness(room.theme, w, BOT_CONFIG.minPlays));
+  if (commonness[0] === null) commonness = lengthCommonness(words);
+  if (rng() < preset.collideChance) {
+    // Tirage parmi les mots ex aequo en tête, pour ne pas toujours viser le même
+    let top = -Infinity;
+    for (const c of commonness) top = Math.max(top, c);
+    const best = words.filter((w, i) => commonness[i] === top);
+    return best[Math.floor(rng() * best.length)];
+  }
+  // Poids de 1 à preferenceWeight : vers les mots rares si rarePreference > 0,
+  // vers les mots courants si rarePreference < 0
+  const weights = commonness.map((c) => {
+    const lean = preset.rarePreference >= 0 ? 1 - c : c;
+    return 1 + (BOT_CONFIG.preferenceWeight - 1) * Math.abs(preset.rarePreference) * lean;
+  });
+  return pickWeighted(words, weights, rng);
+}
+
+/**
+ * Tire un mot au hasard proportionnellement à son poids.
+ *
+ * @param {string[]} words Les mots
+ * @param {number[]} weights Le poids de chaque mot
+ * @param {Function} rng Générateur aléatoire
+ * @returns {string} Le mot tiré
+ */
+function pickWeighted(words, weights, rng) {
+  let r = rng() * weights.reduce((a, b) => a + b, 0);
+  for (let i = 0; i < words.length; i++) {
+    r -= weights[i];
+    if (r < 0) return words[i];
+  }
+  return words[words.length - 1];
+}
+
+/**
+ * Tire le délai de réponse du bot pour un tour : une fraction du tour
+ * entre delay.min et delay.max, moyenne de deux tirages pour que les
+ * réponses se concentrent vers le milieu de l'intervalle.
+ *
+ * @param {number} turnMs Durée du tour
+ * @param {Object} preset Le préréglage du bot
+ * @param {Function} [rng=Math.random] Générateur aléatoire
+ * @returns {number} Le délai en millisecondes
+ */
+function botDelay(turnMs, preset, rng = Math.random) {
+  const { min, max } = preset.delay;
+  const fraction = min + (max - min) * ((rng() + rng()) / 2);
+  return Math.max(0, Math.min(turnMs - 50, Math.floor(turnMs * fraction)));
 }
 
 /**
- * Planifie la soumission automatique du bot pour le tour en cours. On
- * utilise room.currentTurnDuration et BOT_CONFIG.delayFactor pour
- * déterminer à quel moment envoyer le mot. Si le bot est mort ou absent
- * (room.botId null) ou si room.accepting est false, aucune soumission
- * n'est planifiée. Un seul timer de soumission est actif par room
- * (stocké dans room.timers.botSubmit) et annulé au début de chaque tour.
+ * Planifie la soumission automatique de chaque bot vivant pour le tour en
+ * cours. Le délai et le choix du mot dépendent du préréglage du bot (voir
+ * BOT_CONFIG.presets) ; avec une probabilité missChance, le bot ne répond
+ * pas du tout. Si room.accepting est false, aucune soumission n'est
+ * planifiée. Chaque bot a au plus un timer de soumission (room.botTimers),
+ * annulé au début de chaque tour.
  *
  * @param {string} code Le code de la room (pour l'émission Socket.IO)
  * @param {Object} room L'état de la room
  * @param {Object} io L'instance Socket.IO
  */
 function scheduleBotSubmission(code, room, io) {
-  // Annuler toute soumission déjà planifiée
-  if (room.timers.botSubmit) {
-    clearTimeout(room.timers.botSubmit);
-    room.timers.botSubmit = null;
-  }
-  // Pas de bot ? rien à faire
-  if (!room.botId) return;
-  const botPlayer = room.players.get(room.botId);
-  if (!botPlayer || !botPlayer.alive) return;
+  // Annuler les soumissions déjà planifiées
+  room.botTimers.forEach((t) => clock.clearTimeout(t));
+  room.botTimers.clear();
   // Tour non actif ? ne pas planifier
   if (!room.accepting || !room.currentTurnDuration) return;
-  // Calculer le délai
-  const delay = Math.max(0, Math.min(room.currentTurnDuration - 50, Math.floor(room.currentTurnDuration * BOT_CONFIG.delayFactor)));
-  room.timers.botSubmit = setTimeout(() => {
-    // Vérifier que le tour est toujours actif
-    if (!room.accepting) return;
-    const word = pickBotWord(room);
-    if (!word) return;
-    // Enregistrer la soumission et le timestamp
-    if (!room.submissions.has(room.botId)) {
-      room.submissions.set(room.botId, word);
-      if (!room.submissionTimes) room.submissionTimes = new Map();
-      room.submissionTimes.set(room.botId, Date.now());
-      // Diffuser au bot un ack (facultatif) et mise à jour progression
+  for (const botId of room.bots.keys()) {
+    const botPlayer = room.players.get(botId);
+    if (!botPlayer || !botPlayer.alive) continue;
+    const preset = botPreset(room, botId);
+    // Le bot laisse parfois passer son tour
+    if (Math.random() < preset.missChance) continue;
+    const delay = botDelay(room.currentTurnDuration, preset);
+    room.botTimers.set(botId, clock.setTimeout(() => {
+      room.botTimers.delete(botId);
+      // Vérifier que le tour est toujours actif
+      if (!room.accepting) return;
+      const word = pickBotWord(room, botId, preset);
+      if (!word) return;
+      // Enregistrer la soumission et le timestamp
+      room.submissions.set(botId, word);
+      room.submissionTimes.set(botId, clock.now());
+      // Diffuser la progression du tour
       io.to(code).emit('turn:progress', { submitted: room.submissions.size });
-    }
-  }, delay);
+    }, delay));
+  }
 }
 
 module.exports = {
   BOT_CONFIG,
+  EXTERNAL_BOT_CONFIG,
+  isBotToken,
+  externalBotChannel,
+  botPreset,
   addBot,
   removeBot,
+  removeBots,
   pickBotWord,
   scheduleBotSubmission,
 };
@@ -0,0 +1,41 @@
+/**
+ * Configuration des jokers
+ *
+ * En début de match, chaque joueur reçoit settings.jokers exemplaires de
+ * chaque joker (réglage de la room). Un joker se joue avec l'évènement
+ * turn:joker { type } pendant la phase indiquée par `phase`, au plus une
+ * fois par tour pour chaque type :
+ * - time : ajoute extraTimeMs au timer du joueur (son mot n'est pas encore
+ *   verrouillé) ;
+ * - shield : protège d'un doublon (« chips ») sur le tour en cours ;
+ * - veto : annule les votes contre son mot pendant la phase de vote ;
+ * - reveal : révèle au joueur un mot valide encore jamais joué.
+ */
+const JOKER_TYPES = {
+  time:   { phase: "turn", label: "+3 s" },
+  shield: { phase: "turn", label: "Bouclier" },
+  veto:   { phase: "vote", label: "Veto" },
+  reveal: { phase: "turn", label: "Indice" },
+};
+
+const JOKER_CONFIG = {
+  extraTimeMs: 3000, // temps ajouté par le joker « time » (en ms)
+};
+
+/**
+ * Construit l'inventaire de jokers d'un joueur en début de match.
+ *
+ * @param {number} count Exemplaires de chaque type
+ * @returns {Object} Association type -> nombre restant
+ */
+function createJokerInventory(count) {
+  const inventory = {};
+  for (const type of Object.keys(JOKER_TYPES)) inventory[type] = count;
+  return inventory;
+}
+
+module.exports = {
+  JOKER_TYPES,
+  JOKER_CONFIG,
+  createJokerInventory,
+};
@@ -12,41 +12,85 @@
  * modifier ces chaînes pour ajuster le feedback affiché aux joueurs.
  * - noSubmission : message lorsqu'aucun joueur n'a soumis de mot durant
  *   un tour (tous les joueurs sont éliminés).
- * - duplicate(names) : message généré lorsqu'un ou plusieurs joueurs ont
- *   soumis le même mot. Le paramètre `names` est un tableau contenant les
- *   prénoms des joueurs concernés ; la fonction compose une phrase en
+ * - duplicate(names, rule) : message généré lorsqu'un ou plusieurs joueurs
+ *   ont soumis le même mot. Le paramètre `names` est un tableau contenant
+ *   les prénoms des joueurs concernés ; la fonction compose une phrase en
  *   listant les noms séparés par des virgules et le dernier avec « et ».
+ *   `rule` précise la règle appliquée (réglage duplicateMode) : `mode`,
+ *   `keeper` (nom du joueur qui garde le mot en « firstKeeps ») et
+ *   `penalty` (points perdus en « penalty »).
  * - offTopic(name) : message lorsqu'un joueur est éliminé pour avoir
  *   proposé un mot hors‑sujet (vote majoritaire contre lui).
- * - gameOver : message affiché dans les logs lorsque la partie se termine.
+ * - shielded(name) : message lorsqu'un joueur a évité un doublon grâce à
+ *   son joker bouclier.
+ * - suddenDeath(names) : message annonçant la mort subite entre les
+ *   joueurs à égalité.
+ * - roundOver : message affiché dans les logs lorsque le round se termine.
+ * - gameOver : message affiché dans les logs lorsque le match est décidé.
  */
 const MESSAGES = {
   noSubmission: '"Personne" n\'a pas eu le temps',
-  duplicate: (names) => {
+  duplicate: (names, { mode = 'allOut', keeper, penalty } = {}) => {
     if (!names || names.length === 0) return '';
-    if (names.length === 1) return `"${names[0]}" a fait chips!`;
-    if (names.length === 2) return `"${names[0]}" et "${names[1]}" ont fait chips!`;
-    const allButLast = names.slice(0, -1).map((n) => `"${n}"`).join(', ');
-    const last = `"${names[names.length - 1]}"`;
-    return `${allButLast} et ${last} ont fait chips!`;
+    let who;
+    if (names.length === 1) who = `"${names[0]}" a fait chips`;
+    else if (names.length === 2) who = `"${names[0]}" et "${names[1]}" ont fait chips`;
+    else {
+      const allButLast = names.slice(0, -1).map((n) => `"${n}"`).join(', ');
+      const last = `"${names[names.length - 1]}"`;
+      who = `${allButLast} et ${last} ont fait chips`;
+    }
+    if (mode === 'firstKeeps') return `${who}, "${keeper}" l'avait proposé en premier!`;
+    if (mode === 'penalty') return `${who} et ${names.length === 1 ? 'perd' : 'perdent'} ${penalty} points!`;
+    return `${who}!`;
   },
   offTopic: (name) => `"${name}" a utilisé un mot hors‑sujet`,
+  shielded: (name) => `"${name}" a évité le chips grâce à son bouclier`,
+  suddenDeath: (names) => `Égalité entre ${names.map((n) => `"${n}"`).join(', ')} : mort subite !`,
+  roundOver: 'Fin du round !',
   gameOver: 'Game Over!',
 };
 
 const DELAY_CONFIG = {
   eliminationPopupMs: 2000, // temps du popup d'élimination (en ms)
   gameOverMs: 3500,         // délai avant le tableau de score final (en ms)
+  interRoundMs: 6000,       // durée du classement entre deux rounds d'un match (en ms)
 };
 
-// Configuration générale des rooms : vieillissement et inactivité
+// Configuration générale des rooms : vieillissement, inactivité et délai
+// de grâce accordé à un joueur déconnecté pour revenir (player:resume)
+// avec son score et son statut avant d'être considéré comme parti.
+// TRUST_PROXY indique le proxy devant le serveur, seul à pouvoir fournir
+// l'adresse réelle des clients : « fly » (en-tête Fly-Client-IP), toute
+// autre valeur pour un proxy qui complète X-Forwarded-For. Vide, les
+// en-têtes sont ignorés : un client pourrait les forger.
 const CONFIG = {
   ROOM_MAX_AGE_MS: 6 * 60 * 60 * 1000, // durée de vie maximale d'une room (6 heures)
   ROOM_IDLE_MS:    20 * 60 * 1000,     // durée d'inactivité avant fermeture (20 minutes)
+  RECONNECT_GRACE_MS: 30 * 1000,       // délai de reconnexion d'un joueur (30 secondes)
+  TRUST_PROXY: process.env.TRUST_PROXY || "", // proxy de confiance (vide : aucun)
+};
+
+// Chat de la room : longueur maximale d'un message et limite de débit
+// par socket (au plus rateMax messages sur une fenêtre glissante).
+const CHAT_CONFIG = {
+  maxLength: 200,       // nombre maximal de caractères par message
+  rateMax: 5,           // messages autorisés par fenêtre
+  rateWindowMs: 5000,   // durée de la fenêtre (en ms)
+};
+
+// Soumissions de mots : limite de débit par socket, la même pour les
+// humains et les bots externes, pour qu'on ne puisse pas sonder la banque
+// de mots en envoyant des propositions en rafale.
+const SUBMIT_CONFIG = {
+  rateMax: 4,           // soumissions autorisées par fenêtre
+  rateWindowMs: 2000,   // durée de la fenêtre (en ms)
 };
 
 module.exports = {
   MESSAGES,
   DELAY_CONFIG,
   CONFIG,
+  CHAT_CONFIG,
+  SUBMIT_CONFIG,
 };
@@ -0,0 +1,242 @@
+/**
+ * Réglages de partie par room
+ *
+ * Chaque room possède ses propres réglages (room.settings), négociés dans
+ * le lobby par l'host via l'évènement room:settings. Les valeurs par
+ * défaut reprennent les constantes globales (TIMER_CONFIG, liste des
+ * thèmes). Toute valeur reçue d'un client est validée et bornée par
+ * sanitizeSettings() selon SETTINGS_LIMITS avant d'être appliquée :
+ * - levelRanges : courbe des durées de tour (même format que
+ *   TIMER_CONFIG.levelRanges) ;
+ * - voteDurationMs : durée de la phase de vote après chaque tour ;
+ * - maxLevel : niveau à partir duquel le round se termine ;
+ * - solo : partie en solitaire, sans bot ; la partie s'arrête à la
+ *   première faute et le score est comparé aux records personnels du
+ *   joueur (voir data/personalBests.js) ;
+ * - daily : défi du jour, une partie solo identique pour tous (thème,
+ *   lettres et timers tirés à partir de la date, règles par défaut) dont
+ *   la première tentative de la journée est classée (voir
+ *   data/dailyChallenge.js). Active aussi solo ;
+ * - endless : mode sans fin, le round ne s'arrête qu'au dernier survivant
+ *   et la difficulté continue de monter après maxLevel (voir
+ *   config/timers.js) ;
+ * - lettersFromLevel : niveau d'apparition des règles de lettres
+ *   (le calendrier TIMER_CONFIG.letterRules est décalé en conséquence) ;
+ * - themes : thèmes pouvant être tirés pour les rounds ;
+ * - chatDuringTurn : chat autorisé pendant la saisie des mots (désactivé,
+ *   personne ne peut souffler de mot pendant un tour) ;
+ * - matchMode, matchRounds, matchPoints : durée du match, soit un nombre
+ *   de rounds (« rounds »), soit un score à atteindre (« points ») ;
+ * - lives : nombre de vies de chaque joueur par round (1 = élimination à
+ *   la première faute) ;
+ * - jokers : exemplaires de chaque joker reçus en début de match (voir
+ *   config/jokers.js) ;
+ * - scoring : stratégie de calcul des points (voir game/scoring.js) ;
+ * - duplicateMode : sort des joueurs ayant soumis le même mot (« chips ») :
+ *   tous éliminés (« allOut »), seul le premier à l'avoir envoyé le garde
+ *   (« firstKeeps ») ou tous perdent des points mais survivent
+ *   (« penalty »).
+ * - botLevel : niveau du bot ajouté automatiquement quand il manque un
+ *   joueur humain (« easy », « normal », « hard », voir config/bot.js).
+ */
+const { TIMER_CONFIG } = require("./timers");
+const { SCORING_STRATEGIES } = require("../game/scoring");
+const { BOT_CONFIG } = require("./bot");
+
+// Les thèmes proposés par défaut; on peut personnaliser cette liste à loisir
+const THEMES = [
+  "Jeux Vidéos (Nom Exact)",
+  "Personnage de LoL",
+  "Pokémons",
+  "Couleurs",
+  "Métiers",
+  "Pays",
+  "Prénoms",
+  "Marques",
+  "Anime",
+];
+
+// Bornes appliquées aux réglages envoyés par l'host
+const SETTINGS_LIMITS = {
+  maxRanges: 6,             // nombre maximal de plages dans levelRanges
+  level: { min: 1, max: 100 },
+  turnSec: { min: 2, max: 30 },
+  voteDurationMs: { min: 1000, max: 15000 },
+  maxLevel: { min: 5, max: 100 },
+  lettersFromLevel: { min: 1, max: 100 },
+  matchRounds: { min: 1, max: 10 },
+  matchPoints: { min: 3, max: 50 },
+  lives: { min: 1, max: 5 },
+  jokers: { min: 0, max: 3 },
+};
+
+// Façons de décider la fin d'un match : nombre de rounds joués ou premier
+// joueur à atteindre un score
+const MATCH_MODES = ["rounds", "points"];
+
+// Règles de résolution des doublons (voir endTurn dans game/gameLogic.js)
+const DUPLICATE_MODES = ["allOut", "firstKeeps", "penalty"];
+
+// Limites des listes de mots personnalisées envoyées par l'host d'une
+// room privée. Les listes restent en mémoire, pour cette room uniquement.
+const CUSTOM_LIST_LIMITS = {
+  maxLists: 5,          // nombre de listes par room
+  maxChars: 200000,     // taille maximale du texte envoyé
+  minWords: 5,          // nombre minimal de mots distincts
+  maxWords: 5000,       // nombre maximal de mots distincts
+  maxThemeLength: 40,   // longueur maximale du nom du thème
+};
+
+/**
+ * Construit les réglages par défaut d'une room à partir de la
+ * configuration globale. Les tableaux sont copiés pour que chaque room
+ * puisse les modifier sans affecter les autres.
+ *
+ * @returns {Object} Réglages par défaut
+ */
+function createDefaultSettings() {
+  return {
+    levelRanges: TIMER_CONFIG.levelRanges.map((r) => ({ ...r })),
+    voteDurationMs: TIMER_CONFIG.voteDurationMs,
+    maxLevel: 20,
+    endless: false,
+    solo: false,
+    daily: false,
+    lettersFromLevel: TIMER_CONFIG.letterRules[0].start,
+    themes: [...THEMES],
+    chatDuringTurn: true,
+    matchMode: "rounds",
+    matchRounds: 3,
+    matchPoints: 10,
+    lives: 1,
+    jokers: 1,
+    scoring: "speed",
+    duplicateMode: "allOut",
+    botLevel: BOT_CONFIG.defaultLevel,
+  };
+}
+
+/**
+ * Convertit une valeur en nombre borné. Renvoie `fallback` si la valeur
+ * n'est pas un nombre fini.
+ *
+ * @param {*} value Valeur reçue
+ * @param {{min: number, max: number}} limits Bornes inclusives
+ * @param {number} fallback Valeur de repli
+ * @param {boolean} [integer=true] Arrondir à l'entier le plus proche
+ * @returns {number} Valeur bornée
+ */
+function clampNumber(value, { min, max }, fallback, integer = true) {
+  let n = Number(value);
+  if (!Number.isFinite(n)) return fallback;
+  if (integer) n = Math.round(n);
+  return Math.min(max, Math.max(min, n));
+}
+
+/**
+ * Valide la courbe des durées de tour. Chaque plage est bornée, ses
+ * niveaux sont remis dans l'ordre et les plages sont triées par niveau de
+ * départ. Une liste vide ou invalide renvoie `fallback`.
+ *
+ * @param {*} ranges Plages reçues
+ * @param {Object[]} fallback Plages actuelles
+ * @returns {Object[]} Plages validées
+ */
+function sanitizeLevelRanges(ranges, fallback) {
+  if (!Array.isArray(ranges) || ranges.length === 0) return fallback;
+  const L = SETTINGS_LIMITS;
+  const clean = ranges.slice(0, L.maxRanges).map((r, i) => {
+    const prev = fallback[Math.min(i, fallback.length - 1)];
+    const a = clampNumber(r?.start, L.level, prev.start);
+    const b = clampNumber(r?.end, L.level, prev.end);
+    return {
+      start: Math.min(a, b),
+      end: Math.max(a, b),
+      startSec: clampNumber(r?.startSec, L.turnSec, prev.startSec, false),
+      endSec: clampNumber(r?.endSec, L.turnSec, prev.endSec, false),
+    };
+  });
+  return clean.sort((x, y) => x.start - y.start);
+}
+
+/**
+ * Applique un ensemble de modifications aux réglages d'une room. Seules
+ * les clés connues sont prises en compte; les valeurs sont bornées selon
+ * SETTINGS_LIMITS et les thèmes inconnus sont ignorés. Si aucun thème
+ * valide n'est fourni, la liste actuelle est conservée.
+ *
+ * @param {Object} current Réglages actuels de la room
+ * @param {Object} patch Modifications envoyées par l'host
+ * @param {string[]} availableThemes Thèmes sélectionnables dans la room
+ * @returns {Object} Nouveaux réglages validés
+ */
+function sanitizeSettings(current, patch, availableThemes) {
+  const next = { ...current };
+  if (!patch || typeof patch !== "object") return next;
+  const L = SETTINGS_LIMITS;
+  if ("levelRanges" in patch) {
+    next.levelRanges = sanitizeLevelRanges(patch.levelRanges, current.levelRanges);
+  }
+  if ("voteDurationMs" in patch) {
+    next.voteDurationMs = clampNumber(patch.voteDurationMs, L.voteDurationMs, current.voteDurationMs);
+  }
+  if ("maxLevel" in patch) {
+    next.maxLevel = clampNumber(patch.maxLevel, L.maxLevel, current.maxLevel);
+  }
+  if ("lettersFromLevel" in patch) {
+    next.lettersFromLevel = clampNumber(patch.lettersFromLevel, L.lettersFromLevel, current.lettersFromLevel);
+  }
+  if (MATCH_MODES.includes(patch.matchMode)) {
+    next.matchMode = patch.matchMode;
+  }
+  if ("matchRounds" in patch) {
+    next.matchRounds = clampNumber(patch.matchRounds, L.matchRounds, current.matchRounds);
+  }
+  if ("matchPoints" in patch) {
+    next.matchPoints = clampNumber(patch.matchPoints, L.matchPoints, current.matchPoints);
+  }
+  if ("lives" in patch) {
+    next.lives = clampNumber(patch.lives, L.lives, current.lives);
+  }
+  if ("jokers" in patch) {
+    next.jokers = clampNumber(patch.jokers, L.jokers, current.jokers);
+  }
+  if (Object.hasOwn(SCORING_STRATEGIES, patch.scoring)) {
+    next.scoring = patch.scoring;
+  }
+  if (DUPLICATE_MODES.includes(patch.duplicateMode)) {
+    next.duplicateMode = patch.duplicateMode;
+  }
+  if (Object.hasOwn(BOT_CONFIG.presets, patch.botLevel)) {
+    next.botLevel = patch.botLevel;
+  }
+  if ("solo" in patch) {
+    next.solo = !!patch.solo;
+  }
+  if ("daily" in patch) {
+    next.daily = !!patch.daily;
+  }
+  // Le défi du jour se joue en solo
+  if (next.daily) next.solo = true;
+  if ("endless" in patch) {
+    next.endless = !!patch.endless;
+  }
+  if ("chatDuringTurn" in patch) {
+    next.chatDuringTurn = !!patch.chatDuringTurn;
+  }
+  if (Array.isArray(patch.themes)) {
+    const themes = availableThemes.filter((t) => patch.themes.includes(t));
+    if (themes.length > 0) next.themes = themes;
+  }
+  return next;
+}
+
+module.exports = {
+  THEMES,
+  SETTINGS_LIMITS,
+  MATCH_MODES,
+  DUPLICATE_MODES,
+  CUSTOM_LIST_LIMITS,
+  createDefaultSettings,
+  sanitizeSettings,
+};
@@ -14,6 +14,43 @@
  * utilisée. La valeur `voteDurationMs` détermine la durée de la phase
  * d'invalidation (vote) après chaque tour. Vous pouvez ajuster ces
  * valeurs selon vos besoins.
+ *
+ * Le tableau `letterRules` décrit, sur le même principe de plages de
+ * niveaux, quand les règles de lettres apparaissent. Pour chaque plage :
+ * - forbid : nombre de lettres bannies lorsque le tour interdit des lettres ;
+ * - require : nombre de lettres obligatoires lorsque le tour en impose ;
+ * - requireChance : probabilité (0 à 1) qu'un tour de la plage impose des
+ *   lettres plutôt que d'en interdire.
+ * Avant la première plage, aucune lettre n'est imposée ni interdite. Au-delà
+ * de la dernière plage, celle-ci reste en vigueur. Les lettres bannies
+ * laissent toujours au moins `minPlayablePerPlayer` mots jouables par
+ * joueur en vie ; `letterWeighting` oriente leur tirage (« uniform »,
+ * « frequent » pour bannir plutôt les lettres courantes, « rare » pour
+ * l'inverse). Avec `logLetters` (variable d'environnement LOG_LETTERS=1),
+ * le nombre de mots restant jouables est journalisé à chaque tour pour
+ * régler ces règles.
+ *
+ * Le tableau `constraintRules` ajoute, à partir du niveau `start`, une
+ * contrainte de mot sur certains tours (avec la probabilité `chance`) :
+ * le mot doit commencer par une lettre donnée (startsWith) ou respecter
+ * une longueur minimale (minLength) ou maximale (maxLength). Une
+ * contrainte n'est tirée que si au moins `constraintMinCandidates` mots
+ * encore jouables la respectent.
+ *
+ * En cas d'égalité au sommet du classement final, les meneurs jouent des
+ * tours de mort subite (`suddenDeath`) : durée fixe `turnMs`, `letters`
+ * lettres obligatoires, eux seuls en vie. Après `maxTurns` tours sans
+ * vainqueur unique, la victoire est partagée.
+ *
+ * En mode sans fin (réglage de room `endless`), la difficulté continue de
+ * monter au-delà de la dernière plage : la durée des tours baisse de
+ * room.turnDecayMs par niveau jusqu'à room.minTurnMs, et chaque tranche
+ * de `endless.extraLetterEvery` niveaux ajoute une lettre à la règle de
+ * lettres (au plus `endless.maxExtraLetters`).
+ *
+ * Avant chaque round, les joueurs votent pour le thème parmi
+ * `themeDraftOptions` propositions pendant `themeDraftMs`. Les
+ * `themeCooldown` derniers thèmes joués dans la room ne sont pas proposés.
  */
 
 const TIMER_CONFIG = {
@@ -23,6 +60,24 @@ const TIMER_CONFIG = {
     { start: 15, end: 20, startSec: 6, endSec: 4 },
   ],
   voteDurationMs: 2000,
+  themeDraftMs: 8000,
+  themeDraftOptions: 3,
+  themeCooldown: 2,
+  letterRules: [
+    { start: 10, end: 12, forbid: 1, require: 1, requireChance: 0.25 },
+    { start: 13, end: 15, forbid: 2, require: 1, requireChance: 0.35 },
+    { start: 16, end: 20, forbid: 3, require: 2, requireChance: 0.35 },
+  ],
+  minPlayablePerPlayer: 3,
+  letterWeighting: "uniform",
+  logLetters: process.env.LOG_LETTERS === "1",
+  constraintRules: [
+    { start: 6, chance: 0.3, types: ["startsWith", "minLength"] },
+    { start: 12, chance: 0.45, types: ["startsWith", "minLength", "maxLength"] },
+  ],
+  constraintMinCandidates: 20,
+  suddenDeath: { turnMs: 5000, letters: 1, maxTurns: 3 },
+  endless: { extraLetterEvery: 10, maxExtraLetters: 3 },
 };
 
 /**
@@ -30,21 +85,23 @@ const TIMER_CONFIG = {
  * premières manches démarrent à 10 s et décroissent jusqu'à 8 s au
  * niveau 10, puis 6 s au niveau 15 et enfin 4 s au niveau 20. Entre
  * ces seuils, une interpolation linéaire est utilisée. Au-delà du
- * niveau 20, la durée reste fixée à 4 s.
+ * niveau 20, la durée reste fixée à 4 s. Une room peut fournir sa propre
+ * courbe (room.settings.levelRanges) au même format.
  *
  * @param {number} level Le niveau courant (>=1)
+ * @param {Object[]} [levelRanges] Plages à utiliser (TIMER_CONFIG par défaut)
  * @returns {number} Durée en secondes
  */
-function getTurnDuration(level) {
+function getTurnDuration(level, levelRanges = TIMER_CONFIG.levelRanges) {
   // Parcourt les intervalles définis dans TIMER_CONFIG pour déterminer
   // dans lequel se trouve le niveau actuel. Utilise ensuite une
   // interpolation linéaire entre startSec et endSec. Si le niveau est
   // en-dessous du premier intervalle, on renvoie la durée du premier.
   // Si le niveau est au-dessus du dernier, on renvoie la durée finale.
-  if (!Array.isArray(TIMER_CONFIG.levelRanges) || TIMER_CONFIG.levelRanges.length === 0) {
+  if (!Array.isArray(levelRanges) || levelRanges.length === 0) {
     return 4;
   }
-  const ranges = TIMER_CONFIG.levelRanges;
+  const ranges = levelRanges;
   for (let i = 0; i < ranges.length; i++) {
     const { start, end, startSec, endSec } = ranges[i];
     if (level < start) {
@@ -63,7 +120,62 @@ function getTurnDuration(level) {
   return last.endSec;
 }
 
+/**
+ * Détermine la règle de lettres d'un tour à partir du niveau, selon
+ * TIMER_CONFIG.letterRules. Le type (« forbid » ou « require ») est tiré
+ * au sort avec la probabilité requireChance de la plage concernée. Le
+ * paramètre firstLevel permet de décaler tout le calendrier pour que les
+ * règles de lettres apparaissent à un autre niveau (réglage de room).
+ *
+ * En mode sans fin, des lettres supplémentaires s'ajoutent au-delà de la
+ * dernière plage (voir TIMER_CONFIG.endless).
+ *
+ * @param {number} level Le niveau courant (>=1)
+ * @param {number} [firstLevel] Niveau d'apparition des règles de lettres
+ * @param {boolean} [endless=false] Mode sans fin
+ * @param {() => number} [rng=Math.random] Générateur (voir utils/random.js)
+ * @returns {{type: string, count: number}} Type de règle et nombre de lettres
+ */
+function getLetterRule(level, firstLevel, endless = false, rng = Math.random) {
+  const ranges = TIMER_CONFIG.letterRules;
+  if (!Array.isArray(ranges) || ranges.length === 0) {
+    return { type: "forbid", count: 0 };
+  }
+  // Ramener le niveau dans le repère du calendrier par défaut
+  if (Number.isFinite(firstLevel)) level -= firstLevel - ranges[0].start;
+  if (level < ranges[0].start) return { type: "forbid", count: 0 };
+  // Plage contenant le niveau, ou la dernière si on l'a dépassée
+  const range = ranges.find((r) => level >= r.start && level <= r.end) || ranges[ranges.length - 1];
+  const type = rng() < (range.requireChance || 0) ? "require" : "forbid";
+  let count = range[type] || 0;
+  const last = ranges[ranges.length - 1];
+  if (endless && level > last.end) {
+    const { extraLetterEvery, maxExtraLetters } = TIMER_CONFIG.endless;
+    count += Math.min(maxExtraLetters, Math.floor((level - last.end) / extraLetterEvery));
+  }
+  return { type, count };
+}
+
+/**
+ * Détermine si un tour reçoit une contrainte de mot, selon
+ * TIMER_CONFIG.constraintRules : la dernière règle dont le niveau de
+ * départ est atteint s'applique, avec sa probabilité `chance`.
+ *
+ * @param {number} level Le niveau courant (>=1)
+ * @param {() => number} [rng=Math.random] Générateur
+ * @returns {{types: string[]}|null} Types de contraintes possibles, ou
+ *   null si le tour n'a pas de contrainte
+ */
+function getConstraintRule(level, rng = Math.random) {
+  const rules = TIMER_CONFIG.constraintRules || [];
+  const rule = rules.filter((r) => level >= r.start).pop();
+  if (!rule || rng() >= rule.chance) return null;
+  return { types: rule.types };
+}
+
 module.exports = {
   TIMER_CONFIG,
   getTurnDuration,
+  getLetterRule,
+  getConstraintRule,
 };
@@ -0,0 +1,139 @@
+const path = require("node:path");
+const { DATA_DIR, hasThemeDataset } = require("./wordBank");
+const { readJsonFile, createJsonWriter } = require("./jsonStore");
+const { THEMES } = require("../config/settings");
+const { createSeededRng } = require("../utils/random");
+const { pickRandom } = require("../utils/wordUtils");
+
+// Résultats du défi du jour, par date (UTC) puis par identité de joueur :
+// { [date]: { [identity]: { name, score, level, finished, at } } }. Seule la
+// première tentative de la journée est classée.
+const RESULTS_FILE = process.env.DAILY_RESULTS_FILE || path.join(DATA_DIR, "daily_results.json");
+// Nombre de jours de résultats conservés dans le fichier
+const KEEP_DAYS = 30;
+
+// date -> Map(identité -> résultat)
+const results = new Map();
+
+/**
+ * Date du défi (UTC, « AAAA-MM-JJ »). Tout le monde joue le même défi
+ * le même jour, quel que soit son fuseau horaire.
+ *
+ * @param {number} [now=Date.now()] Horodatage
+ * @returns {string} La date du défi
+ */
+function dailyDate(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+/**
+ * Thème du défi d'une date, tiré parmi les thèmes par défaut ayant une
+ * banque de mots avec un générateur initialisé par la date.
+ *
+ * @param {string} date La date du défi
+ * @returns {Promise<string>} Le thème
+ */
+async function dailyTheme(date) {
+  const themes = [];
+  for (const theme of THEMES) {
+    if (await hasThemeDataset(theme)) themes.push(theme);
+  }
+  return pickRandom(themes.length > 0 ? themes : THEMES, createSeededRng(`daily:${date}`));
+}
+
+/**
+ * Charge le fichier des résultats.
+ *
+ * @returns {Promise<void>}
+ */
+async function loadDailyResults() {
+  const data = await readJsonFile(RESULTS_FILE);
+  for (const [date, players] of Object.entries(data || {})) {
+    results.set(date, new Map(Object.entries(players || {})));
+  }
+}
+
+// Chargé une seule fois, au premier require
+const ready = loadDailyResults();
+
+const writer = createJsonWriter(RESULTS_FILE, () => {
+  const data = {};
+  const dates = [...results.keys()].sort().slice(-KEEP_DAYS);
+  for (const date of dates) data[date] = Object.fromEntries(results.get(date));
+  return data;
+});
+
+/**
+ * Enregistre le début d'une tentative. Seule la première tentative d'une
+ * identité pour une date est classée : elle compte même si le joueur
+ * abandonne, pour qu'on ne puisse pas recommencer jusqu'à un bon tirage.
+ *
+ * @param {string} date La date du défi
+ * @param {string} identity Identité persistante du joueur
+ * @param {string} name Nom affiché dans le classement
+ * @returns {boolean} true si la tentative est classée
+ */
+function startDailyAttempt(date, identity, name) {
+  if (!results.has(date)) results.set(date, new Map());
+  const day = results.get(date);
+  if (day.has(identity)) return false;
+  day.set(identity, { name, score: 0, level: 0, finished: false, at: Date.now() });
+  writer.schedule();
+  return true;
+}
+
+/**
+ * Enregistre le résultat d'une tentative classée.
+ *
+ * @param {string} date La date du défi
+ * @param {string} identity Identité persistante du joueur
+ * @param {{score: number, level: number}} run Résultat de la partie
+ * @returns {number|null} Rang obtenu, ou null si la tentative est inconnue
+ */
+function finishDailyAttempt(date, identity, { score, level }) {
+  const entry = results.get(date)?.get(identity);
+  if (!entry || entry.finished) return null;
+  Object.assign(entry, { score, level, finished: true, at: Date.now() });
+  writer.schedule();
+  return rankedEntries(date).findIndex((e) => e === entry) + 1;
+}
+
+/**
+ * Tentatives terminées d'une date, classées par score, puis niveau, puis
+ * ancienneté.
+ *
+ * @param {string} date La date du défi
+ * @returns {Object[]} Les résultats
+ */
+function rankedEntries(date) {
+  const day = results.get(date);
+  if (!day) return [];
+  return [...day.values()]
+    .filter((e) => e.finished)
+    .sort((a, b) => b.score - a.score || b.level - a.level || a.at - b.at);
+}
+
+/**
+ * Classement du défi d'une date.
+ *
+ * @param {string} date La date du défi
+ * @param {number} [limit=20] Nombre de lignes
+ * @returns {{date: string, players: number, leaderboard: Object[]}}
+ */
+function getDailyLeaderboard(date, limit = 20) {
+  const entries = rankedEntries(date);
+  return {
+    date,
+    players: entries.length,
+    leaderboard: entries.slice(0, limit).map((e, i) => ({ rank: i + 1, name: e.name, score: e.score, level: e.level })),
+  };
+}
+
+module.exports = {
+  ready,
+  dailyDate,
+  dailyTheme,
+  startDailyAttempt,
+  finishDailyAttempt,
+  getDailyLeaderboard,
+};
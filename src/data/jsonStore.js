@@ -0,0 +1,78 @@
+const fs = require("node:fs/promises");
+
+/**
+ * Persistance des petites données du serveur (statistiques, records) dans
+ * des fichiers JSON du dossier data/. Les données vivent en mémoire ; le
+ * fichier est relu au démarrage et réécrit peu après chaque modification.
+ * À l'arrêt du serveur, flushPendingWriters() écrit ce qui est en attente.
+ */
+
+// Toutes les sauvegardes différées créées, pour flushPendingWriters()
+const writers = new Set();
+
+/**
+ * Lit un fichier JSON. Un fichier absent ou illisible n'est pas bloquant :
+ * on repart de zéro.
+ *
+ * @param {string} file Chemin du fichier
+ * @returns {Promise<*>} Le contenu, ou null
+ */
+async function readJsonFile(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn(`[data] Échec lecture: ${file} -> ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Crée une sauvegarde différée : les appels à schedule() pendant `delayMs`
+ * sont regroupés en une seule écriture (fichier temporaire puis
+ * renommage, pour ne jamais laisser un fichier à moitié écrit).
+ *
+ * @param {string} file Chemin du fichier
+ * @param {Function} serialize Renvoie les données à écrire
+ * @param {number} [delayMs=5000] Délai de regroupement
+ * @returns {{schedule: Function, flush: Function, pending: Function}}
+ */
+function createJsonWriter(file, serialize, delayMs = 5000) {
+  let timer = null;
+  async function flush() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    const tmp = `${file}.tmp`;
+    try {
+      await fs.writeFile(tmp, JSON.stringify(serialize()));
+      await fs.rename(tmp, file);
+    } catch (e) {
+      console.warn(`[data] Échec écriture: ${file} -> ${e.message}`);
+    }
+  }
+  function schedule() {
+    if (timer) return;
+    timer = setTimeout(flush, delayMs);
+    timer.unref();
+  }
+  const writer = { schedule, flush, pending: () => timer !== null };
+  writers.add(writer);
+  return writer;
+}
+
+/**
+ * Écrit sans attendre toutes les sauvegardes en attente. Appelé à l'arrêt
+ * du serveur : les timers de regroupement ne le retiennent pas.
+ *
+ * @returns {Promise<void>}
+ */
+async function flushPendingWriters() {
+  await Promise.all([...writers].filter((w) => w.pending()).map((w) => w.flush()));
+}
+
+module.exports = {
+  readJsonFile,
+  createJsonWriter,
+  flushPendingWriters,
+};
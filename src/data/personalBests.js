@@ -0,0 +1,74 @@
+const path = require("node:path");
+const { DATA_DIR } = require("./wordBank");
+const { readJsonFile, createJsonWriter } = require("./jsonStore");
+
+// Records personnels du mode solo, par identité de joueur puis par thème :
+// { [identity]: { [theme]: { score, level, at } } }. L'identité est un
+// jeton persistant conservé par le navigateur (voir resolveIdentity() dans
+// game/roomManager.js).
+const BESTS_FILE = process.env.PERSONAL_BESTS_FILE || path.join(DATA_DIR, "personal_bests.json");
+
+// identité -> Map(thème -> { score, level, at })
+const bests = new Map();
+
+/**
+ * Charge le fichier des records.
+ *
+ * @returns {Promise<void>}
+ */
+async function loadPersonalBests() {
+  const data = await readJsonFile(BESTS_FILE);
+  for (const [identity, themes] of Object.entries(data || {})) {
+    bests.set(identity, new Map(Object.entries(themes || {})));
+  }
+}
+
+// Chargé une seule fois, au premier require
+const ready = loadPersonalBests();
+
+const writer = createJsonWriter(BESTS_FILE, () => {
+  const data = {};
+  for (const [identity, themes] of bests) data[identity] = Object.fromEntries(themes);
+  return data;
+});
+
+/**
+ * Enregistre une partie solo terminée. Le record du thème n'est remplacé
+ * que par un meilleur score (à score égal, par un niveau plus haut).
+ *
+ * @param {string} identity Identité persistante du joueur
+ * @param {string} theme Le thème joué
+ * @param {{score: number, level: number}} run Résultat de la partie
+ * @returns {{best: Object, previous: Object|null, improved: boolean}}
+ */
+function recordSoloRun(identity, theme, { score, level }) {
+  if (!bests.has(identity)) bests.set(identity, new Map());
+  const themes = bests.get(identity);
+  const previous = themes.get(theme) || null;
+  const improved = !previous || score > previous.score || (score === previous.score && level > previous.level);
+  if (improved) {
+    themes.set(theme, { score, level, at: Date.now() });
+    writer.schedule();
+  }
+  return { best: themes.get(theme), previous, improved };
+}
+
+/**
+ * Records d'un joueur, triés par thème.
+ *
+ * @param {string} identity Identité persistante du joueur
+ * @returns {Object[]} Liste de { theme, score, level, at }
+ */
+function getPersonalBests(identity) {
+  const themes = bests.get(identity);
+  if (!themes) return [];
+  return [...themes]
+    .map(([theme, best]) => ({ theme, ...best }))
+    .sort((a, b) => a.theme.localeCompare(b.theme));
+}
+
+module.exports = {
+  ready,
+  recordSoloRun,
+  getPersonalBests,
+};
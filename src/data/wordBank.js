@@ -51,6 +51,27 @@ async function resolveDatasetPath(dir, theme) {
   return null;
 }
 
+/**
+ * Transforme le contenu texte d'une liste de mots en ensemble de mots
+ * normalisés : un mot par ligne, tout ce qui suit un « # » est un
+ * commentaire et les lignes vides sont ignorées. Utilisé pour les
+ * fichiers de data/ comme pour les listes personnalisées des rooms.
+ *
+ * @param {string} text Contenu de la liste
+ * @returns {Set<string>} Un ensemble de mots normalisés
+ */
+function parseWordList(text) {
+  const set = new Set();
+  if (!text) return set;
+  for (const raw of String(text).split(/\r?\n/)) {
+    const line = raw.split("#")[0].trim();
+    if (!line) continue;
+    const word = normalizeWord(line);
+    if (word) set.add(word);
+  }
+  return set;
+}
+
 /**
  * Charge la banque de mots pour un thème donné. Le serveur lit un fichier
  * portant le nom du thème normalisé (ex. « animaux.txt »). Si ce fichier
@@ -87,14 +108,8 @@ async function loadWordSetForTheme(theme) {
       console.warn(`[data] Échec lecture: ${f} -> ${e.message}`);
     }
   }
-  const set = new Set();
-  if (text) {
-    for (const raw of text.split(/\r?\n/)) {
-      const line = raw.split("#")[0].trim();
-      if (!line) continue;
-      set.add(normalizeWord(line));
-    }
-  } else {
+  const set = parseWordList(text);
+  if (!text) {
     console.warn(
       `[data] Aucun dataset trouvé pour le thème "${theme}" (clé: ${key}).`
     );
@@ -103,7 +118,20 @@ async function loadWordSetForTheme(theme) {
   return set;
 }
 
+/**
+ * Indique si un fichier de données spécifique existe pour un thème (hors
+ * « global.txt »). Sert à ne pas proposer de thème sans dataset.
+ *
+ * @param {string} theme Le nom du thème
+ * @returns {Promise<boolean>} true si un fichier correspond au thème
+ */
+async function hasThemeDataset(theme) {
+  return (await resolveDatasetPath(DATA_DIR, theme)) !== null;
+}
+
 module.exports = {
+  parseWordList,
   loadWordSetForTheme,
+  hasThemeDataset,
   DATA_DIR,
 };
@@ -0,0 +1,140 @@
+const path = require("node:path");
+const { DATA_DIR } = require("./wordBank");
+const { readJsonFile, createJsonWriter } = require("./jsonStore");
+
+// Fichier JSON où sont conservées les statistiques d'utilisation des mots
+// (nombre de fois où chaque mot normalisé a été validé, par thème). Il est
+// relu au démarrage du serveur et réécrit peu après chaque mise à jour.
+const STATS_FILE = process.env.WORD_STATS_FILE || path.join(DATA_DIR, "word_stats.json");
+
+// thème -> { total, max, words: Map(mot -> nombre d'utilisations) }, où max
+// est le nombre d'utilisations du mot le plus joué
+const stats = new Map();
+
+/**
+ * Statistiques d'un thème, créées au besoin.
+ *
+ * @param {string} theme Le nom du thème
+ * @returns {{total: number, max: number, words: Map<string, number>}}
+ */
+function themeEntry(theme) {
+  if (!stats.has(theme)) stats.set(theme, { total: 0, max: 0, words: new Map() });
+  return stats.get(theme);
+}
+
+/**
+ * Charge le fichier de statistiques. Les comptes lus s'ajoutent à ceux
+ * déjà enregistrés depuis le démarrage.
+ *
+ * @returns {Promise<void>}
+ */
+async function loadWordStats() {
+  const data = await readJsonFile(STATS_FILE);
+  for (const [theme, words] of Object.entries(data || {})) {
+    const entry = themeEntry(theme);
+    for (const [word, count] of Object.entries(words || {})) {
+      if (!Number.isFinite(count) || count <= 0) continue;
+      const next = (entry.words.get(word) || 0) + count;
+      entry.words.set(word, next);
+      entry.max = Math.max(entry.max, next);
+      entry.total += count;
+    }
+  }
+}
+
+// Chargé une seule fois, au premier require
+const ready = loadWordStats();
+
+const writer = createJsonWriter(STATS_FILE, () => {
+  const data = {};
+  for (const [theme, entry] of stats) data[theme] = Object.fromEntries(entry.words);
+  return data;
+});
+
+/**
+ * Enregistre les mots validés pendant un tour pour un thème. La
+ * sauvegarde est regroupée pour limiter les écritures.
+ *
+ * @param {string} theme Le nom du thème
+ * @param {Iterable<string>} words Mots normalisés validés
+ */
+function recordWords(theme, words) {
+  if (!theme) return;
+  const entry = themeEntry(theme);
+  for (const word of words) {
+    const next = (entry.words.get(word) || 0) + 1;
+    entry.words.set(word, next);
+    entry.max = Math.max(entry.max, next);
+    entry.total += 1;
+  }
+  writer.schedule();
+}
+
+/**
+ * Multiplicateur de rareté d'un mot : 1 pour le mot le plus joué du
+ * thème, jusqu'à `maxMultiplier` pour un mot jamais joué (échelle
+ * logarithmique). Tant que le thème compte moins de `minPlays` mots
+ * enregistrés, les statistiques ne sont pas jugées fiables et le
+ * multiplicateur vaut 1.
+ *
+ * @param {string} theme Le nom du thème
+ * @param {string} word Mot normalisé
+ * @param {{minPlays: number, maxMultiplier: number}} options
+ * @returns {number} Le multiplicateur
+ */
+function rarityMultiplier(theme, word, { minPlays, maxMultiplier }) {
+  const commonness = wordCommonness(theme, word, minPlays);
+  if (commonness === null) return 1;
+  return 1 + (maxMultiplier - 1) * (1 - commonness);
+}
+
+/**
+ * Popularité d'un mot dans un thème, entre 0 (jamais joué) et 1 (le mot
+ * le plus joué), sur la même échelle logarithmique que
+ * rarityMultiplier(). Renvoie null tant que le thème compte moins de
+ * `minPlays` mots enregistrés.
+ *
+ * @param {string} theme Le nom du thème
+ * @param {string} word Mot normalisé
+ * @param {number} minPlays Seuil de fiabilité des statistiques
+ * @returns {number|null} La popularité du mot
+ */
+function wordCommonness(theme, word, minPlays) {
+  const entry = stats.get(theme);
+  if (!entry || entry.total < minPlays) return null;
+  return Math.log1p(entry.words.get(word) || 0) / Math.log1p(entry.max);
+}
+
+/**
+ * Résumé des statistiques : pour un thème, les mots les plus et les moins
+ * joués ; sans thème, la liste des thèmes avec leur nombre de mots joués.
+ *
+ * @param {string} [theme] Le nom du thème
+ * @param {number} [limit=20] Nombre de mots par liste
+ * @returns {Object|null} Le résumé, ou null si le thème est inconnu
+ */
+function getWordStats(theme, limit = 20) {
+  if (!theme) {
+    return {
+      themes: [...stats].map(([name, entry]) => ({ theme: name, totalPlays: entry.total, distinctWords: entry.words.size })),
+    };
+  }
+  const entry = stats.get(theme);
+  if (!entry) return null;
+  const sorted = [...entry.words].map(([word, count]) => ({ word, count })).sort((a, b) => b.count - a.count);
+  return {
+    theme,
+    totalPlays: entry.total,
+    distinctWords: entry.words.size,
+    mostUsed: sorted.slice(0, limit),
+    leastUsed: sorted.slice(-limit).reverse(),
+  };
+}
+
+module.exports = {
+  ready,
+  recordWords,
+  rarityMultiplier,
+  wordCommonness,
+  getWordStats,
+};
@@ -1,14 +1,32 @@
-const { getTurnDuration } = require("../config/timers");
-const { MESSAGES, DELAY_CONFIG, TIMER_CONFIG } = require("../config/messages");
-const { generatePunishedLetters, pickRandom } = require("../utils/wordUtils");
-const { loadWordSetForTheme } = require("../data/wordBank");
-const { scheduleBotSubmission } = require("../config/bot");
+const { TIMER_CONFIG, getTurnDuration, getLetterRule, getConstraintRule } = require("../config/timers");
+const { MESSAGES, DELAY_CONFIG } = require("../config/messages");
+const {
+  generatePunishedLetters,
+  generateRequiredLetters,
+  generateWordConstraint,
+  pickRandom,
+  pickRandomMany,
+  letterMask,
+  wordPool,
+  respectsLetterRule,
+  respectsConstraint,
+} = require("../utils/wordUtils");
+const { JOKER_TYPES, JOKER_CONFIG } = require("../config/jokers");
+const { scoreTurn, applyRoundBonus, SCORING_CONFIG } = require("./scoring");
+const { loadWordSetForTheme, hasThemeDataset } = require("../data/wordBank");
+const { recordWords } = require("../data/wordStats");
+const { recordSoloRun } = require("../data/personalBests");
+const { dailyTheme, finishDailyAttempt } = require("../data/dailyChallenge");
+const { createSeededRng } = require("../utils/random");
+const { clock } = require("../utils/clock");
+const { scheduleBotSubmission, externalBotChannel } = require("../config/bot");
 
 /**
- * Commence un nouveau round dans une room. On remet à zéro les mots
- * utilisés, on charge la banque de mots pour le thème et on "réanime"
- * les joueurs en ligne. Le premier tour commence après une courte pause
- * pour permettre aux clients de se mettre à jour.
+ * Commence un nouveau round dans une room. Avant de jouer, les joueurs
+ * votent pour le thème parmi quelques propositions (phase de « draft »,
+ * voir startThemeDraft()). Le round démarre réellement dans beginRound()
+ * une fois le thème choisi. Le niveau repart de zéro à chaque round d'un
+ * match.
  *
  * @param {string} code Le code de la room
  * @param {Object} room L'état de la room
@@ -17,25 +35,211 @@ const { scheduleBotSubmission } = require("../config/bot");
 async function startNewRound(code, room, io) {
   room.round += 1;
   room.turn = 0;
-  room.theme = pickRandom(room.themes);
+  room.level = 0;
+  room.theme = null;
+  room.standings = null;
   room.usedWords.clear();
   room.submissions.clear();
+  await startThemeDraft(code, room, io);
+  touchRoom(room);
+}
+
+/**
+ * Tire les thèmes proposés au vote. On écarte les thèmes joués récemment
+ * dans la room (TIMER_CONFIG.themeCooldown) et ceux qui n'ont ni fichier
+ * de données ni liste personnalisée. Si ces filtres ne laissent pas assez de thèmes, on
+ * les relâche pour toujours pouvoir proposer quelque chose.
+ *
+ * @param {Object} room L'état de la room
+ * @returns {Promise<string[]>} Les thèmes proposés
+ */
+async function drawThemeOptions(room) {
+  const themes = room.settings.themes;
+  const count = TIMER_CONFIG.themeDraftOptions;
+  const recent = room.recentThemes.slice(-TIMER_CONFIG.themeCooldown);
+  const withData = [];
+  for (const theme of themes) {
+    if (room.customLists.has(theme) || (await hasThemeDataset(theme))) withData.push(theme);
+  }
+  let candidates = withData.filter((t) => !recent.includes(t));
+  if (candidates.length < Math.min(count, withData.length)) {
+    // Pas assez de thèmes frais : compléter avec les thèmes récents
+    candidates = candidates.concat(pickRandomMany(withData.filter((t) => recent.includes(t)), count - candidates.length));
+  }
+  if (candidates.length === 0) candidates = themes;
+  return pickRandomMany(candidates, count);
+}
+
+/**
+ * Lance la phase de vote du thème. Les propositions sont envoyées via
+ * theme:draft ; les joueurs votent avec theme:vote (voir handleThemeVote).
+ * Le vote se termine à la fin du timer ou dès que tous les joueurs
+ * humains en ligne ont voté. S'il n'y a qu'une proposition, le round
+ * démarre directement.
+ *
+ * @param {string} code Le code de la room
+ * @param {Object} room L'état de la room
+ * @param {Object} io L'instance Socket.IO
+ */
+async function startThemeDraft(code, room, io) {
+  // Le défi du jour impose son thème
+  if (room.daily) {
+    await beginRound(code, room, await dailyTheme(room.daily.date), io);
+    return;
+  }
+  const options = await drawThemeOptions(room);
+  if (options.length <= 1) {
+    await beginRound(code, room, options[0] || pickRandom(room.settings.themes), io);
+    return;
+  }
+  const durationMs = TIMER_CONFIG.themeDraftMs;
+  room.themeDraft = {
+    options,
+    votes: new Map(), // playerId -> thème choisi
+    endsAt: clock.now() + durationMs,
+  };
+  io.to(code).emit("theme:draft", { round: room.round, options, durationMs });
+  io.to(code).emit("lobby:update", serializeRoom(room));
+  room.timers.themeDraft = clock.setTimeout(() => finalizeThemeDraft(code, room, io), durationMs);
+}
+
+/**
+ * Clôt la phase de vote du thème. Le thème ayant le plus de voix
+ * l'emporte ; les égalités (y compris l'absence de vote) sont départagées
+ * au hasard. Le round démarre ensuite avec ce thème.
+ *
+ * @param {string} code Le code de la room
+ * @param {Object} room L'état de la room
+ * @param {Object} io L'instance Socket.IO
+ */
+async function finalizeThemeDraft(code, room, io) {
+  const draft = room.themeDraft;
+  if (!draft) return;
+  room.themeDraft = null;
+  if (room.timers.themeDraft) {
+    clock.clearTimeout(room.timers.themeDraft);
+    room.timers.themeDraft = null;
+  }
+  const counts = countThemeVotes(draft);
+  const best = Math.max(...Object.values(counts));
+  const theme = pickRandom(draft.options.filter((t) => counts[t] === best));
+  io.to(code).emit("theme:chosen", { theme, counts });
+  await beginRound(code, room, theme, io);
+}
+
+/**
+ * Démarre le round avec le thème choisi : on charge la banque de mots (la
+ * liste personnalisée de la room si le thème en provient) et on "réanime"
+ * les joueurs en ligne. Le premier tour commence après une
+ * courte pause pour permettre aux clients de se mettre à jour.
+ *
+ * @param {string} code Le code de la room
+ * @param {Object} room L'état de la room
+ * @param {string} theme Le thème du round
+ * @param {Object} io L'instance Socket.IO
+ */
+async function beginRound(code, room, theme, io) {
+  room.theme = theme;
+  room.recentThemes.push(theme);
+  if (room.recentThemes.length > TIMER_CONFIG.themeCooldown) room.recentThemes.shift();
   // Charger la banque de mots pour le thème courant (async)
-  room.wordSet = await loadWordSetForTheme(room.theme);
+  room.wordSet = room.customLists.get(theme) || (await loadWordSetForTheme(room.theme));
+  // La partie a pu être interrompue pendant le chargement
+  if (!room.gameActive) return;
   // Réinitialiser les lettres punies pour le nouveau round. Elles seront
   // générées à la volée au début de chaque tour en fonction du niveau.
   room.punishedLetters = [];
-  // Revivre les joueurs en ligne
+  room.letterRuleType = "forbid";
+  room.constraint = null;
+  // Revivre les joueurs en ligne avec toutes leurs vies (les spectateurs
+  // ne jouent pas). En solo, la première faute est fatale.
   room.players.forEach((p) => {
-    if (p.online) p.alive = true;
+    if (p.online && p.role !== "spectator") {
+      p.alive = true;
+      p.lives = room.settings.solo ? 1 : room.settings.lives;
+    }
   });
   io.to(code).emit("round:start", { round: room.round, theme: room.theme });
   io.to(code).emit("lobby:update", serializeRoom(room));
   // Démarrer le premier tour après 600 ms
-  room.timers.nextTurn = setTimeout(() => startNextTurn(code, room, io), 600);
+  room.timers.nextTurn = clock.setTimeout(() => startNextTurn(code, room, io), 600);
   touchRoom(room);
 }
 
+/**
+ * Indique si les rounds de la room ignorent le niveau final : mode sans
+ * fin, ou mode solo où seule la première faute arrête la partie.
+ *
+ * @param {Object} room L'état de la room
+ * @returns {boolean}
+ */
+function isEndless(room) {
+  return room.settings.endless || room.settings.solo;
+}
+
+/**
+ * Nombre de joueurs en vie en dessous duquel le round s'arrête : deux
+ * (il ne reste qu'un gagnant), un seul en solo.
+ *
+ * @param {Object} room L'état de la room
+ * @returns {number}
+ */
+function minAlive(room) {
+  return room.settings.solo ? 1 : 2;
+}
+
+/**
+ * Générateur utilisé pour les tirages d'un tour (lettres, contrainte). Le
+ * défi du jour utilise un générateur initialisé par la date et le niveau :
+ * chaque joueur voit la même suite de tours, quels que soient ses mots.
+ *
+ * @param {Object} room L'état de la room
+ * @returns {() => number} Le générateur
+ */
+function turnRng(room) {
+  return room.daily ? createSeededRng(`daily:${room.daily.date}:${room.level}`) : Math.random;
+}
+
+/**
+ * Mots parmi lesquels les lettres et la contrainte du tour sont tirées :
+ * ceux qui n'ont pas encore été joués, ou toute la banque pour le défi du
+ * jour afin que le tirage ne dépende pas des mots du joueur.
+ *
+ * @param {Object} room L'état de la room
+ * @returns {{words: string[], masks: Uint32Array}} Les mots et leurs masques de lettres
+ */
+function drawPool(room) {
+  return wordPool(room.wordSet, room.daily ? null : room.usedWords);
+}
+
+/**
+ * Durée du tour courant en ms, selon la courbe des réglages de la room.
+ * En mode sans fin, passé la dernière plage, la durée continue de baisser
+ * de room.turnDecayMs par niveau jusqu'à room.minTurnMs.
+ *
+ * @param {Object} room L'état de la room
+ * @returns {number} Durée du tour en ms
+ */
+function turnDurationMs(room) {
+  const { levelRanges } = room.settings;
+  const ms = Math.round(getTurnDuration(room.level, levelRanges) * 1000);
+  const lastLevel = levelRanges[levelRanges.length - 1].end;
+  if (!isEndless(room) || room.level <= lastLevel) return ms;
+  return Math.max(room.minTurnMs, ms - (room.level - lastLevel) * room.turnDecayMs);
+}
+
+/**
+ * Durée de la phase de vote après un tour. Pas de vote en solo, où
+ * personne ne peut contester le mot, ni en mort subite, où chaque joueur à
+ * égalité serait seul à juger le mot de son adversaire.
+ *
+ * @param {Object} room L'état de la room
+ * @returns {number} Durée du vote en ms (0 : aucun vote)
+ */
+function voteDurationMs(room) {
+  return room.settings.solo || room.tiebreak ? 0 : room.settings.voteDurationMs;
+}
+
 /**
  * Démarre le tour suivant ou met fin au round si un ou zéro joueur reste en
  * vie. La durée du tour diminue à chaque tour mais ne descend pas sous
@@ -47,11 +251,15 @@ async function startNewRound(code, room, io) {
  */
 function startNextTurn(code, room, io) {
   const alive = aliveIds(room);
-  // Si un seul joueur survit, terminer immédiatement le round
-  if (alive.length <= 1) {
-    endRound(code, room, alive[0] || null, io);
+  // Si un seul joueur survit (aucun en solo), terminer immédiatement le
+  // round (ou le départage, voir continueSuddenDeath())
+  if (alive.length < minAlive(room)) {
+    if (room.tiebreak) continueSuddenDeath(code, room, io);
+    else endRound(code, room, alive[0] || null, io);
     return;
   }
+  const suddenDeath = room.tiebreak ? TIMER_CONFIG.suddenDeath : null;
+  if (room.tiebreak) room.tiebreak.turn += 1;
   // Incrémenter le numéro de tour pour ce round
   room.turn += 1;
   // Incrémenter le niveau global. Au premier tour d'une partie,
@@ -60,39 +268,182 @@ function startNextTurn(code, room, io) {
   room.level = (room.level || 0) + 1;
   room.submissions.clear();
   room.accepting = true;
-  // Calculer la durée du tour à partir du niveau (en secondes puis ms)
-  const sec = getTurnDuration(room.level);
-  const turnMs = Math.round(sec * 1000);
+  // Calculer la durée du tour à partir du niveau, selon la courbe choisie
+  // dans les réglages de la room. La mort subite a sa propre durée, fixe.
+  const turnMs = suddenDeath ? suddenDeath.turnMs : turnDurationMs(room);
   // Enregistrer le début et la durée du tour pour le calcul des scores
-  room.turnStartedAt = Date.now();
+  room.turnStartedAt = clock.now();
   room.currentTurnDuration = turnMs;
-  // Réinitialiser les timestamps de soumission
+  // Réinitialiser les timestamps de soumission et les jokers du tour
   room.submissionTimes.clear();
-  // Générer les lettres punies à partir du niveau
-  if (room.level >= 10) {
-    room.punishedLetters = generatePunishedLetters(room.level);
-  } else {
+  room.turnJokers = { used: new Set(), extraMs: new Map(), shields: new Set() };
+  // Générer les lettres du tour à partir du niveau : lettres bannies ou
+  // lettres obligatoires selon TIMER_CONFIG.letterRules, décalé pour
+  // débuter au niveau settings.lettersFromLevel. Les lettres obligatoires
+  // sont tirées dans un mot encore jouable du thème ; les lettres bannies
+  // laissent assez de mots jouables pour chaque joueur en vie.
+  // Pour le défi du jour, le tirage porte sur toute la banque : on garde
+  // une marge d'un mot par tour déjà joué.
+  const rng = turnRng(room);
+  const margin = room.daily ? room.level : 0;
+  const rule = suddenDeath
+    ? { type: "require", count: suddenDeath.letters }
+    : getLetterRule(room.level, room.settings.lettersFromLevel, isEndless(room), rng);
+  // Mots jouables, filtrés seulement si un tirage du tour en a besoin
+  let draw = null;
+  const drawn = () => draw || (draw = drawPool(room));
+  room.letterRuleType = rule.type;
+  if (rule.count <= 0) {
     room.punishedLetters = [];
+  } else if (rule.type === "require") {
+    room.punishedLetters = generateRequiredLetters(rule.count, drawn(), rng);
+  } else {
+    room.punishedLetters = generatePunishedLetters(rule.count, drawn(), {
+      minPlayable: TIMER_CONFIG.minPlayablePerPlayer * alive.length + margin,
+      weighting: TIMER_CONFIG.letterWeighting,
+      rng,
+    });
+  }
+  // Contrainte de mot éventuelle (première lettre ou longueur), tirée
+  // seulement si assez de mots encore jouables la respectent
+  room.constraint = null;
+  const constraintRule = suddenDeath ? null : getConstraintRule(room.level, rng);
+  const logLetters = TIMER_CONFIG.logLetters && room.punishedLetters.length > 0 && room.wordSet.size > 0;
+  // Les mots encore jouables avec ces lettres ne sont listés que s'il faut
+  // tirer une contrainte ou journaliser la difficulté (TIMER_CONFIG.logLetters) :
+  // le parcours porte sur toute la banque restante.
+  if (constraintRule || logLetters) {
+    const lettersMask = letterMask(room.punishedLetters.join(""));
+    const required = room.letterRuleType === "require";
+    const { words, masks } = drawn();
+    const pool = [];
+    for (let i = 0; i < words.length; i++) {
+      const hits = masks[i] & lettersMask;
+      if (required ? hits === lettersMask : hits === 0) pool.push(words[i]);
+    }
+    if (logLetters) {
+      console.log(
+        `[letters] ${code} niveau ${room.level} ${room.letterRuleType} ${room.punishedLetters.join("")}: ` +
+        `${pool.length} mots jouables pour ${alive.length} joueurs`
+      );
+    }
+    if (constraintRule) {
+      room.constraint = generateWordConstraint(constraintRule.types, pool, TIMER_CONFIG.constraintMinCandidates + margin, rng);
+    }
   }
-  // Émettre le début du tour avec la durée et les lettres punies
+  // Émettre le début du tour avec la durée, les lettres, leur règle et
+  // la contrainte de mot
   io.to(code).emit("turn:start", {
     turn: room.turn,
     turnMs,
     punishedLetters: room.punishedLetters,
+    letterRuleType: room.letterRuleType,
+    constraint: room.constraint,
+    suddenDeath: !!suddenDeath,
   });
+  emitBotTurn(code, room, io);
   // Planifier la fin du tour
-  room.timers.endTurn = setTimeout(() => endTurn(code, room, io), turnMs);
+  room.timers.endTurn = clock.setTimeout(() => endTurn(code, room, io), turnMs);
   // Planifier la soumission du bot si nécessaire. Le bot enverra un mot
-  // automatiquement après une fraction du timer (voir BOT_CONFIG.delayFactor).
+  // automatiquement selon son préréglage (voir BOT_CONFIG.presets).
   scheduleBotSubmission(code, room, io);
   touchRoom(room);
 }
 
 /**
- * Termine le tour en cours. Les joueurs sans soumission ou ayant un mot
- * doublon sont éliminés. Les mots uniques et valides sont ajoutés à
- * room.usedWords pour ne plus pouvoir être réutilisés. Après le traitement,
- * la fonction décide de lancer un nouveau tour ou de finir le round.
+ * État des joueurs transmis aux bots externes.
+ *
+ * @param {Object} room L'état de la room
+ * @returns {Object[]} { id, name, alive, lives, score, bot } par joueur
+ */
+function botPlayersState(room) {
+  return [...room.players]
+    .filter(([, p]) => p.role !== "spectator")
+    .map(([id, p]) => ({ id, name: p.name, alive: p.alive, lives: p.lives || 0, score: p.score, bot: room.bots.has(id) || !!p.external }));
+}
+
+/**
+ * Envoie aux bots externes le détail du tour qui commence (bot:turn) :
+ * thème, échéance absolue, règle de lettres, contrainte, mots déjà
+ * utilisés et état des joueurs, pour qu'ils n'aient pas à reconstruire
+ * l'état à partir des évènements destinés à l'interface.
+ *
+ * @param {string} code Le code de la room
+ * @param {Object} room L'état de la room
+ * @param {Object} io L'instance Socket.IO
+ */
+function emitBotTurn(code, room, io) {
+  io.to(externalBotChannel(code)).emit("bot:turn", {
+    round: room.round,
+    turn: room.turn,
+    level: room.level,
+    theme: room.theme,
+    turnMs: room.currentTurnDuration,
+    deadline: room.turnStartedAt + room.currentTurnDuration,
+    letters: { rule: room.letterRuleType, letters: room.punishedLetters },
+    constraint: room.constraint,
+    suddenDeath: !!room.tiebreak,
+    usedWords: [...room.usedWords],
+    players: botPlayersState(room),
+  });
+}
+
+/**
+ * Envoie aux bots externes le résultat du tour (bot:turnEnd) : pour
+ * chaque joueur en jeu, son mot, son statut (« valid », « missing »,
+ * « duplicate » ou « penalized ») et ses points, puis l'état des joueurs
+ * et la durée du vote qui s'ouvre.
+ *
+ * @param {string} code Le code de la room
+ * @param {Object} room L'état de la room
+ * @param {{faulted: Set, penalized: Set, points: Object}} outcome Résultat calculé par endTurn()
+ * @param {Object} io L'instance Socket.IO
+ */
+function emitBotTurnEnd(code, room, { faulted, penalized, points }, io) {
+  const results = [];
+  room.players.forEach((p, id) => {
+    const word = room.submissions.get(id) || null;
+    if (!word && !faulted.has(id)) return;
+    let status = "valid";
+    if (!word) status = "missing";
+    else if (faulted.has(id)) status = "duplicate";
+    else if (penalized.has(id)) status = "penalized";
+    results.push({ id, word, status, points: points[id]?.total || 0 });
+  });
+  io.to(externalBotChannel(code)).emit("bot:turnEnd", {
+    round: room.round,
+    turn: room.turn,
+    results,
+    usedWords: [...room.usedWords],
+    players: botPlayersState(room),
+    voteMs: voteDurationMs(room),
+  });
+}
+
+/**
+ * Parcourt les mots du thème courant qui n'ont pas encore été validés
+ * durant le round (room.wordSet privé de room.usedWords).
+ *
+ * @param {Object} room L'état de la room
+ * @returns {Iterable<string>} Les mots encore jouables
+ */
+function* remainingWords(room) {
+  for (const word of room.wordSet) {
+    if (!room.usedWords.has(word)) yield word;
+  }
+}
+
+/**
+ * Termine le tour en cours. Les joueurs sans soumission commettent une
+ * faute ; les doublons sont traités selon le réglage duplicateMode :
+ * - allOut : tous les joueurs du doublon commettent une faute ;
+ * - firstKeeps : le premier à avoir envoyé le mot (room.submissionTimes)
+ *   le garde, les autres commettent une faute ;
+ * - penalty : personne n'est éliminé mais chacun perd
+ *   SCORING_CONFIG.duplicatePenalty points et ne marque rien ce tour.
+ * Les mots valides sont ajoutés à room.usedWords pour ne plus pouvoir être
+ * réutilisés. Après le traitement, la fonction décide de lancer un nouveau
+ * tour ou de finir le round.
  *
  * @param {string} code Le code de la room
  * @param {Object} room L'état de la room
@@ -107,76 +458,104 @@ function endTurn(code, room, io) {
     if (!freq.has(word)) freq.set(word, []);
     freq.get(word).push(sid);
   }
-  // Déterminer les joueurs éliminés et les raisons (pas de soumission, doublon)
-  const eliminated = new Set();
+  // Déterminer les joueurs fautifs et les raisons (pas de soumission,
+  // doublon). Chaque faute coûte une vie, voir applyFault().
+  const faulted = new Set();
   const noSubmissionIds = [];
-  const duplicateIds = [];
+  // Joueurs pénalisés sans faute (mode « penalty »), sans points ce tour
+  const penalized = new Set();
   // Joueurs vivants sans soumission
   room.players.forEach((p, sid) => {
     if (p.alive && !room.submissions.has(sid)) {
-      eliminated.add(sid);
+      faulted.add(sid);
       noSubmissionIds.push(sid);
     }
   });
-  // Joueurs ayant soumis un mot doublon
-  for (const [w, ids] of freq) {
-    if (ids.length >= 2) {
-      ids.forEach((sid) => {
-        eliminated.add(sid);
-        duplicateIds.push(sid);
-      });
-    }
-  }
-  // Préparer les messages à envoyer aux clients
-  // Si aucun mot soumis, on envoie le message correspondant
+  // Joueurs ayant soumis un mot doublon (sauf ceux protégés par un
+  // joker bouclier), selon la règle de la room
+  const mode = room.settings.duplicateMode;
+  const penalty = SCORING_CONFIG.duplicatePenalty;
+  const nameOf = (sid) => room.players.get(sid)?.name || '?';
   const messages = [];
+  // Si aucun mot soumis, on envoie le message correspondant
   if (room.submissions.size === 0) {
     messages.push(MESSAGES.noSubmission);
   }
-  // S'il y a des doublons, on collecte les noms pour le message
+  const shieldedIds = [];
+  const duplicateIds = [];
+  for (const [w, ids] of freq) {
+    if (ids.length < 2) continue;
+    let caught = ids;
+    let keeper = null;
+    if (mode === 'firstKeeps') {
+      const sentAt = (sid) => room.submissionTimes.get(sid) ?? Infinity;
+      keeper = ids.reduce((first, sid) => (sentAt(sid) < sentAt(first) ? sid : first));
+      caught = ids.filter((sid) => sid !== keeper);
+    }
+    const hit = [];
+    caught.forEach((sid) => {
+      if (room.turnJokers.shields.has(sid)) {
+        shieldedIds.push(sid);
+        return;
+      }
+      if (mode === 'penalty') penalized.add(sid);
+      else faulted.add(sid);
+      hit.push(sid);
+    });
+    // Le premier arrivé est nommé dans un message propre à son mot
+    if (mode === 'firstKeeps' && hit.length > 0) {
+      messages.push(MESSAGES.duplicate(hit.map(nameOf), { mode, keeper: nameOf(keeper) }));
+    } else {
+      duplicateIds.push(...hit);
+    }
+  }
+  // Les autres doublons sont regroupés en un seul message
   if (duplicateIds.length > 0) {
-    const names = duplicateIds.map((sid) => room.players.get(sid)?.name || '?');
-    // retirer les doublés d'éventuelles répétitions
-    const uniqueNames = Array.from(new Set(names));
-    messages.push(MESSAGES.duplicate(uniqueNames));
+    messages.push(MESSAGES.duplicate(duplicateIds.map(nameOf), { mode, penalty }));
   }
+  shieldedIds.forEach((sid) => messages.push(MESSAGES.shielded(room.players.get(sid)?.name || '?')));
   // Envoyer les messages aux clients via log:message
   messages.forEach((msg) => {
     if (msg) io.to(code).emit('log:message', { message: msg });
   });
-  // Préparer la liste des éliminations pour le popup
+  // Préparer la liste des fautes pour le popup et les appliquer
+  // immédiatement dans l'état (perte d'une vie, élimination à zéro)
   const elimList = [];
-  eliminated.forEach((sid) => {
-    const p = room.players.get(sid);
-    const name = p?.name || '?';
-    let reason = 'duplicate';
+  const eliminated = new Set();
+  // La raison d'un doublon indique la règle appliquée : « duplicate »
+  // (allOut), « duplicateLate » (firstKeeps) ou « duplicatePenalty »
+  const duplicateReason = mode === 'firstKeeps' ? 'duplicateLate' : 'duplicate';
+  faulted.forEach((sid) => {
+    const name = nameOf(sid);
+    let reason = duplicateReason;
     if (noSubmissionIds.includes(sid)) reason = 'noSubmission';
-    elimList.push({ id: sid, name, reason });
-    // appliquer l'élimination immédiatement dans l'état
-    if (p) p.alive = false;
+    const fault = applyFault(room, sid);
+    if (fault.eliminated) eliminated.add(sid);
+    elimList.push({ id: sid, name, reason, ...fault });
+  });
+  penalized.forEach((sid) => {
+    const player = room.players.get(sid);
+    if (!room.tiebreak) player.score = Math.max(0, player.score - penalty);
+    elimList.push({ id: sid, name: player.name, reason: 'duplicatePenalty', penalty, eliminated: false, livesLeft: player.lives });
   });
   // Fonction qui termine le tour : attribution des points, envoi de turn:end et lancement du vote
   const finalizeTurn = () => {
-    // Attribuer des points aux joueurs non éliminés en fonction de la rapidité
-    if (room.turnStartedAt && room.currentTurnDuration) {
-      for (const [sid] of room.submissions) {
-        if (eliminated.has(sid)) continue;
-        const submitTs = room.submissionTimes.get(sid);
-        if (!submitTs) continue;
-        const elapsed = submitTs - room.turnStartedAt;
-        const dur = room.currentTurnDuration;
-        let score = 10 - Math.floor((elapsed / dur) * 10);
-        if (score < 1) score = 1;
-        if (score > 10) score = 10;
-        const player = room.players.get(sid);
-        if (player) player.score += score;
-      }
+    // Attribuer des points aux joueurs sans faute selon la stratégie de
+    // score de la room (détail envoyé dans turn:end). La mort subite ne
+    // rapporte aucun point : elle départage un classement figé.
+    const points = {};
+    for (const [sid, word] of room.submissions) {
+      if (room.tiebreak || faulted.has(sid) || penalized.has(sid)) continue;
+      const player = room.players.get(sid);
+      if (!player) continue;
+      points[sid] = scoreTurn(room, sid, word);
+      player.score += points[sid].total;
     }
     // Mise à jour du lobby
     io.to(code).emit('lobby:update', serializeRoom(room));
     // Mémoriser les mots valides pour empêcher la réutilisation
     for (const [sid, word] of room.submissions) {
-      if (!eliminated.has(sid)) room.usedWords.add(word);
+      if (!faulted.has(sid)) room.usedWords.add(word);
     }
     // Envoyer l'événement de fin de tour aux clients
     io.to(code).emit('turn:end', {
@@ -185,29 +564,110 @@ function endTurn(code, room, io) {
         name: room.players.get(sid)?.name || '?',
         word,
       })),
+      faults: [...faulted],
       eliminated: [...eliminated],
+      points,
       usedWords: [...room.usedWords],
-      voteDurationMs: TIMER_CONFIG.voteDurationMs,
+      voteDurationMs: voteDurationMs(room),
     });
-    // Préparer la phase de vote
+    emitBotTurnEnd(code, room, { faulted, penalized, points }, io);
+    // Préparer la phase de vote. Les mots déjà sanctionnés comme doublons
+    // ne sont pas soumis au vote : ils ont déjà coûté une vie.
     room.votes = new Map();
     room.votingActive = true;
     for (const [sid] of room.submissions) {
-      room.votes.set(sid, new Set());
+      if (!faulted.has(sid)) room.votes.set(sid, new Set());
     }
-    const voteMs = TIMER_CONFIG.voteDurationMs;
-    room.timers.voteEnd = setTimeout(() => finalizeVote(code, room, io), voteMs);
+    const voteMs = voteDurationMs(room);
+    room.voteEndsAt = clock.now() + voteMs;
+    room.timers.voteEnd = clock.setTimeout(() => finalizeVote(code, room, io), voteMs);
     touchRoom(room);
   };
   // Si des joueurs sont éliminés, envoyer un popup et attendre un délai avant de poursuivre
   if (elimList.length > 0) {
     io.to(code).emit('elim:popup', { eliminations: elimList });
-    setTimeout(finalizeTurn, DELAY_CONFIG.eliminationPopupMs);
+    clock.setTimeout(finalizeTurn, DELAY_CONFIG.eliminationPopupMs);
   } else {
     finalizeTurn();
   }
 }
 
+/**
+ * Enregistre le vote d'un joueur contre le mot d'un autre joueur. Le vote
+ * est diffusé à toute la room (vote:cast, avec le nombre de voix contre ce
+ * mot). Dès que la majorité des votants (hors joueur visé) est atteinte,
+ * la sanction est appliquée immédiatement (perte d'une vie) et le vote sur
+ * ce mot est clos pour que finalizeVote() ne le compte pas une seconde
+ * fois (voir settleVote()).
+ *
+ * @param {string} code Code de la room
+ * @param {Object} room L'état de la room
+ * @param {string} voterId Le votant
+ * @param {string} target Le joueur dont le mot est contesté
+ * @param {Object} io L'instance Socket.IO
+ * @returns {boolean} true si le vote a été pris en compte
+ */
+function castVote(code, room, voterId, target, io) {
+  if (!room.votingActive) return false;
+  const voter = room.players.get(voterId);
+  const targetPlayer = room.players.get(target);
+  // Vérifier que le vote est valide
+  if (!voter || !voter.alive) return false;          // votant doit être vivant
+  if (!targetPlayer || !targetPlayer.alive) return false; // cible doit être vivante
+  if (target === voterId) return false;               // on ne vote pas contre soi
+  // Vérifier que le mot appartient à la soumission courante et n'a pas
+  // déjà été sanctionné (les votes sont ouverts pour chaque soumission
+  // sans faute au début de la phase de vote, voir endTurn())
+  if (!room.submissions.has(target)) return false;
+  const votersSet = room.votes.get(target);
+  if (!votersSet || votersSet.has(voterId)) return false; // déjà voté
+  votersSet.add(voterId);
+  io.to(code).emit('vote:cast', { voter: voterId, voterName: voter.name, target, votes: votersSet.size });
+  settleVote(code, room, target, io);
+  touchRoom(room);
+  return true;
+}
+
+/**
+ * Sanctionne immédiatement le mot d'un joueur si les votes contre lui
+ * atteignent la majorité des votants vivants et en ligne (hors joueur
+ * visé), puis clôt ce vote.
+ *
+ * @param {string} code Code de la room
+ * @param {Object} room L'état de la room
+ * @param {string} target Le joueur dont le mot est contesté
+ * @param {Object} io L'instance Socket.IO
+ * @returns {boolean} true si le mot a été sanctionné
+ */
+function settleVote(code, room, target, io) {
+  const votersSet = room.votes.get(target);
+  if (!votersSet || !room.players.get(target)?.alive) return false;
+  const effCount = voterIds(room).filter((sid) => sid !== target).length;
+  if (votersSet.size < Math.floor(effCount / 2) + 1) return false;
+  const { livesLeft } = applyFault(room, target);
+  room.votes.delete(target);
+  const word = room.submissions.get(target);
+  if (word) room.usedWords.delete(word);
+  io.to(code).emit('vote:eliminated', { ids: [target], lives: { [target]: livesLeft } });
+  // Mettre à jour l'état du lobby
+  io.to(code).emit('lobby:update', serializeRoom(room));
+  return true;
+}
+
+/**
+ * Revérifie tous les votes ouverts après le départ d'un votant (joueur
+ * exclu ou bot retiré) : la majorité baisse et un vote peut être acquis
+ * sans nouveau bulletin.
+ *
+ * @param {string} code Code de la room
+ * @param {Object} room L'état de la room
+ * @param {Object} io L'instance Socket.IO
+ */
+function settleVotes(code, room, io) {
+  if (!room.votingActive) return;
+  for (const target of [...room.votes.keys()]) settleVote(code, room, target, io);
+}
+
 /**
  * Finalise la phase de vote pour une room. Cette fonction est appelée
  * automatiquement après une période déterminée (voir VOTING_TIME_MS dans
@@ -228,11 +688,12 @@ function finalizeVote(code, room, io) {
   room.votingActive = false;
   // Arrêter le timer de vote
   if (room.timers.voteEnd) {
-    clearTimeout(room.timers.voteEnd);
+    clock.clearTimeout(room.timers.voteEnd);
     room.timers.voteEnd = null;
   }
-  // Liste des survivants avant vote
-  const aliveBefore = aliveIds(room);
+  // Liste des survivants en ligne avant vote (les joueurs en délai de
+  // reconnexion ne votent pas et ne comptent pas dans la majorité)
+  const aliveBefore = voterIds(room);
   // Déterminer les joueurs éliminés par vote (majorité absolue)
   const eliminatedByVote = new Set();
   for (const [targetId, voters] of room.votes) {
@@ -245,42 +706,58 @@ function finalizeVote(code, room, io) {
       eliminatedByVote.add(targetId);
     }
   }
-  // Préparer les événements de popup off‑topic
+  // Appliquer les fautes (perte d'une vie) et préparer les événements de
+  // popup off‑topic
   const popupEvents = [];
+  const livesLeft = {};
   eliminatedByVote.forEach((sid) => {
     const p = room.players.get(sid);
     if (p) {
+      const fault = applyFault(room, sid);
+      livesLeft[sid] = fault.livesLeft;
       const msg = MESSAGES.offTopic(p.name);
       popupEvents.push({
-        players: [ { id: sid, name: p.name } ],
+        players: [ { id: sid, name: p.name, ...fault } ],
         message: msg,
       });
     }
   });
-  // Fonction interne pour appliquer les éliminations et continuer
+  // Fonction interne pour nettoyer usedWords et continuer
   const proceedAfterPopup = () => {
-    // Appliquer l'élimination et nettoyer usedWords
+    // Les mots refusés peuvent être rejoués
     for (const sid of eliminatedByVote) {
-      const p = room.players.get(sid);
-      if (p) p.alive = false;
       const word = room.submissions.get(sid);
       if (word) room.usedWords.delete(word);
     }
+    // Statistiques d'utilisation des mots validés (les listes
+    // personnalisées ne sont pas comptées)
+    if (!room.customLists.has(room.theme)) {
+      recordWords(room.theme, [...room.submissions.values()].filter((w) => room.usedWords.has(w)));
+    }
     // Nettoyer les votes
     room.votes = new Map();
-    // Vérifier les conditions de fin de partie (niveau >= 20 ou un seul joueur en vie)
+    if (room.tiebreak) {
+      room.timers.nextTurn = clock.setTimeout(() => continueSuddenDeath(code, room, io), 900);
+      return;
+    }
+    // Vérifier les conditions de fin de partie (niveau final des réglages
+    // atteint, sauf en mode sans fin ou solo, ou un seul joueur en vie,
+    // aucun en solo)
     const remaining = aliveIds(room);
-    const levelExceeded = room.level >= 20;
-    if (levelExceeded || remaining.length <= 1) {
-      // Message de fin de partie
-      io.to(code).emit('log:message', { message: MESSAGES.gameOver });
-      // Après un délai, afficher le tableau de scores final
-      room.timers.newRound = setTimeout(() => {
-        // Déterminer le gagnant (plus haut score) ou null
+    const levelExceeded = !isEndless(room) && room.level >= room.settings.maxLevel;
+    if (levelExceeded || remaining.length < minAlive(room)) {
+      // Message de fin de round
+      io.to(code).emit('log:message', { message: MESSAGES.roundOver });
+      // Après un délai, terminer le round (classement ou fin du match)
+      room.timers.newRound = clock.setTimeout(() => {
+        // Déterminer le gagnant du round : le meilleur score parmi les
+        // survivants, ou parmi tous les joueurs si personne n'a survécu
+        const candidates = remaining.length > 0 ? remaining : [...room.players.keys()];
         let bestId = null;
         let maxScore = -Infinity;
-        room.players.forEach((p, id) => {
-          if (p.score > maxScore) {
+        candidates.forEach((id) => {
+          const p = room.players.get(id);
+          if (p && p.role !== "spectator" && p.score > maxScore) {
             maxScore = p.score;
             bestId = id;
           }
@@ -291,18 +768,19 @@ function finalizeVote(code, room, io) {
     }
     // Sinon, enchaîner sur le tour suivant (aucun délai supplémentaire)
     const delay = room.level >= 10 ? 0 : 900;
-    room.timers.nextTurn = setTimeout(() => startNextTurn(code, room, io), delay);
+    room.timers.nextTurn = clock.setTimeout(() => startNextTurn(code, room, io), delay);
   };
   if (popupEvents.length > 0) {
     // Envoi d'un événement spécifique pour signaler l'élimination par vote
-    io.to(code).emit('vote:eliminated', { ids: [...eliminatedByVote] });
+    io.to(code).emit('vote:eliminated', { ids: [...eliminatedByVote], lives: livesLeft });
+    io.to(code).emit('lobby:update', serializeRoom(room));
     // Envoi de log et popup pour chaque joueur hors‑sujet
     for (const ev of popupEvents) {
       io.to(code).emit('log:message', { message: ev.message });
     }
     io.to(code).emit('elim:popup', { events: popupEvents });
     // Attente du délai d'affichage avant de poursuivre
-    room.timers.newRound = setTimeout(proceedAfterPopup, DELAY_CONFIG.eliminationPopupMs);
+    room.timers.newRound = clock.setTimeout(proceedAfterPopup, DELAY_CONFIG.eliminationPopupMs);
   } else {
     // Aucune élimination par vote : continuer normalement
     proceedAfterPopup();
@@ -310,11 +788,98 @@ function finalizeVote(code, room, io) {
 }
 
 /**
- * Termine un round. Les points sont attribués (+3 pour le gagnant, +1 pour
- * chaque survivant). Toutes les informations nécessaires sont envoyées aux
- * clients : le gagnant, le numéro de round et le tableau de scores.
- * La room reste active mais n'auto‑relance pas un nouveau round : c'est
- * l'host qui décidera en cliquant sur « Rejouer ».
+ * Joue un joker pour un joueur (évènement turn:joker). Vérifie que le
+ * joueur est en vie, qu'il lui reste un exemplaire du type demandé, que
+ * la phase correspond (tour ou vote) et que ce type n'a pas déjà servi
+ * pendant ce tour, puis applique l'effet :
+ * - time : repousse la fin du tour pour ce joueur (voir handleTurnSubmit) ;
+ * - shield : le protège d'un doublon lors de endTurn() ;
+ * - veto : clôt le vote contre son mot, qui ne pourra plus être sanctionné ;
+ * - reveal : lui renvoie un mot valide du thème encore jamais joué.
+ * Les autres joueurs sont prévenus par joker:used.
+ *
+ * @param {string} code Le code de la room
+ * @param {Object} room L'état de la room
+ * @param {string} playerId Le joueur
+ * @param {string} type Le type de joker (voir JOKER_TYPES)
+ * @param {Object} io L'instance Socket.IO
+ * @returns {Object} { ok: true, ... } avec le résultat éventuel (turnMs,
+ *   elapsedMs pour time ; word pour reveal) ou { ok: false, error }
+ */
+function useJoker(code, room, playerId, type, io) {
+  const def = JOKER_TYPES[type];
+  const p = room.players.get(playerId);
+  if (!def || !p || !p.alive) return { ok: false, error: "Joker indisponible." };
+  if (!(p.jokers?.[type] > 0)) return { ok: false, error: "Tu n'as plus ce joker." };
+  const inPhase = def.phase === "turn" ? room.accepting : room.votingActive;
+  if (!inPhase) return { ok: false, error: "Ce joker ne peut pas être joué maintenant." };
+  const key = `${playerId}:${type}`;
+  if (room.turnJokers.used.has(key)) return { ok: false, error: "Joker déjà joué ce tour-ci." };
+  if ((type === "time" || type === "reveal") && room.submissions.has(playerId)) {
+    return { ok: false, error: "Ton mot est déjà verrouillé." };
+  }
+  let result = {};
+  if (type === "time") {
+    const extra = (room.turnJokers.extraMs.get(playerId) || 0) + JOKER_CONFIG.extraTimeMs;
+    room.turnJokers.extraMs.set(playerId, extra);
+    // Le tour se termine à l'échéance la plus lointaine des joueurs
+    const longest = Math.max(...room.turnJokers.extraMs.values());
+    const remaining = room.turnStartedAt + room.currentTurnDuration + longest - clock.now();
+    clock.clearTimeout(room.timers.endTurn);
+    room.timers.endTurn = clock.setTimeout(() => endTurn(code, room, io), Math.max(0, remaining));
+    result = { turnMs: room.currentTurnDuration + extra, elapsedMs: clock.now() - room.turnStartedAt };
+  } else if (type === "shield") {
+    room.turnJokers.shields.add(playerId);
+  } else if (type === "veto") {
+    const voters = room.votes.get(playerId);
+    if (!voters || voters.size === 0) return { ok: false, error: "Aucun vote contre toi." };
+    room.votes.delete(playerId);
+  } else if (type === "reveal") {
+    const taken = new Set(room.submissions.values());
+    const candidates = [];
+    for (const word of remainingWords(room)) {
+      if (taken.has(word) || !respectsConstraint(word, room.constraint)) continue;
+      if (respectsLetterRule(word, room.punishedLetters, room.letterRuleType)) {
+        candidates.push(word);
+      }
+    }
+    if (candidates.length === 0) return { ok: false, error: "Aucun mot à révéler." };
+    result = { word: pickRandom(candidates) };
+  }
+  p.jokers[type] -= 1;
+  room.turnJokers.used.add(key);
+  io.to(code).emit("joker:used", { playerId, name: p.name, type });
+  io.to(code).emit("lobby:update", serializeRoom(room));
+  touchRoom(room);
+  return { ok: true, ...result };
+}
+
+/**
+ * Applique une faute à un joueur (absence de mot, doublon ou mot refusé
+ * par vote) : il perd une vie et n'est éliminé qu'une fois à zéro. Avec
+ * une seule vie (réglage par défaut), la faute élimine immédiatement.
+ *
+ * @param {Object} room L'état de la room
+ * @param {string} playerId Le joueur fautif
+ * @returns {{livesLeft: number, eliminated: boolean}} Vies restantes et
+ *   élimination effective
+ */
+function applyFault(room, playerId) {
+  const p = room.players.get(playerId);
+  if (!p || !p.alive) return { livesLeft: 0, eliminated: false };
+  p.lives = Math.max(0, (p.lives || 1) - 1);
+  if (p.lives === 0) p.alive = false;
+  return { livesLeft: p.lives, eliminated: !p.alive };
+}
+
+/**
+ * Termine un round. Les bonus sont attribués (+3 pour le gagnant, +1 pour
+ * chaque survivant, voir applyRoundBonus()) puis on vérifie si le match est décidé (voir
+ * isMatchOver()). Si ce n'est pas le cas, les clients reçoivent le
+ * classement intermédiaire (round:standings) et le round suivant démarre
+ * automatiquement après DELAY_CONFIG.interRoundMs, avec un nouveau vote du
+ * thème. Sinon la partie se termine (game:end) et l'host pourra relancer
+ * un match en cliquant sur « Rejouer ».
  *
  * @param {string} code Le code de la room
  * @param {Object} room L'état de la room
@@ -322,55 +887,262 @@ function finalizeVote(code, room, io) {
  * @param {Object} io L'instance Socket.IO
  */
 function endRound(code, room, winnerId, io) {
+  // En solo, il n'y a ni gagnant ni bonus de round
+  if (room.settings.solo) winnerId = null;
   let winner = null;
   if (winnerId && room.players.has(winnerId)) {
-    const wp = room.players.get(winnerId);
-    winner = { id: winnerId, name: wp.name };
-    wp.score += 3;
+    winner = { id: winnerId, name: room.players.get(winnerId).name };
   }
-  // 1 point aux survivants
-  room.players.forEach((p) => {
-    if (p.alive) p.score += 1;
-  });
-  // Construire le tableau de scores (inclut les joueurs offline)
-  const scores = [...room.players.entries()].map(([id, p]) => ({
-    id,
-    name: p.name,
-    score: p.score,
-    online: p.online,
-  }));
-  scores.sort((a, b) => b.score - a.score);
-  // Informer de la fin du round et du jeu
+  applyRoundBonus(room, winner ? winnerId : null);
+  if (room.settings.endless) recordLevel(code, room, winner, io);
+  const scores = buildScores(room);
+  // Informer de la fin du round
   io.to(code).emit("round:end", { winner, round: room.round });
-  // Indiquer que la partie est terminée et réinitialiser le jeu. On
-  // désactive gameActive afin que le bouton Démarrer redevienne
-  // disponible pour l'host. Le round et les mots utilisés sont remis
-  // à zéro. Les joueurs restent dans le lobby avec leurs scores.
-  room.gameActive = false;
   room.accepting = false;
   room.submissions.clear();
-  room.theme = null;
   room.turn = 0;
   room.usedWords.clear();
-  // Tous les joueurs sont considérés comme morts jusqu'à la prochaine partie
+  // Tous les joueurs sont considérés comme morts jusqu'au prochain round
   room.players.forEach((p) => {
     p.alive = false;
   });
+  if (room.settings.solo) {
+    finishSoloRun(code, room, io);
+    return;
+  }
+  if (!isMatchOver(room, scores)) {
+    // Classement intermédiaire puis round suivant. Les joueurs seront
+    // ressuscités au début du round (beginRound).
+    const delay = DELAY_CONFIG.interRoundMs;
+    const match = matchInfo(room);
+    room.standings = { round: room.round, winner, scores, match, endsAt: clock.now() + delay };
+    io.to(code).emit("lobby:update", serializeRoom(room));
+    io.to(code).emit("round:standings", { round: room.round, winner, scores, match, nextRoundMs: delay });
+    room.timers.newRound = clock.setTimeout(() => startNewRound(code, room, io), delay);
+    touchRoom(room);
+    return;
+  }
+  // Match terminé : le vainqueur est le meilleur score cumulé. Les
+  // meneurs à égalité (et en ligne) se départagent en mort subite.
+  const leaders = scores.filter((s) => s.score === scores[0].score && s.online);
+  if (leaders.length >= 2) {
+    startSuddenDeath(code, room, leaders.map((s) => s.id), io);
+    return;
+  }
+  const champion = scores[0] ? { id: scores[0].id, name: scores[0].name } : null;
+  finishMatch(code, room, champion ? [champion] : [], null, io);
+}
+
+/**
+ * Termine une partie solo (à la première faute) : le score et le niveau
+ * atteint sont comparés au record personnel du joueur pour ce thème,
+ * conservé par identité (voir data/personalBests.js). Les listes
+ * personnalisées d'une room ne comptent pas pour les records. Pour le
+ * défi du jour, une tentative classée entre au classement du jour. Le
+ * joueur reçoit solo:result, puis la partie se termine normalement
+ * (game:end).
+ *
+ * @param {string} code Le code de la room
+ * @param {Object} room L'état de la room
+ * @param {Object} io L'instance Socket.IO
+ */
+function finishSoloRun(code, room, io) {
+  const player = soloPlayer(room);
+  if (player) {
+    const run = { score: player.score, level: room.level };
+    let record = { best: null, previous: null, improved: false };
+    if (player.identity && !room.customLists.has(room.theme)) {
+      record = recordSoloRun(player.identity, room.theme, run);
+    }
+    let daily = null;
+    if (room.daily) {
+      const { date, ranked } = room.daily;
+      const rank = ranked ? finishDailyAttempt(date, player.identity, run) : null;
+      daily = { date, ranked, rank };
+    }
+    io.to(code).emit("solo:result", { name: player.name, theme: room.theme, ...run, ...record, daily });
+  }
+  room.daily = null;
+  finishMatch(code, room, [], null, io);
+}
+
+/**
+ * Met à jour le record de la room (plus haut niveau atteint en mode sans
+ * fin) à la fin d'un round. Un nouveau record est annoncé par record:new.
+ *
+ * @param {string} code Le code de la room
+ * @param {Object} room L'état de la room
+ * @param {Object|null} winner Le gagnant du round ({ id, name })
+ * @param {Object} io L'instance Socket.IO
+ */
+function recordLevel(code, room, winner, io) {
+  if (room.levelRecord && room.level <= room.levelRecord.level) return;
+  room.levelRecord = { level: room.level, round: room.round, theme: room.theme, winner: winner?.name || null };
+  io.to(code).emit("record:new", room.levelRecord);
+}
+
+/**
+ * Lance le départage des meneurs à égalité en fin de match : eux seuls
+ * sont remis en vie, avec une seule vie, et jouent des tours courts à
+ * lettres obligatoires (TIMER_CONFIG.suddenDeath) sur le thème du
+ * dernier round. Voir continueSuddenDeath() pour la suite.
+ *
+ * @param {string} code Le code de la room
+ * @param {Object} room L'état de la room
+ * @param {string[]} ids Les joueurs à égalité
+ * @param {Object} io L'instance Socket.IO
+ */
+function startSuddenDeath(code, room, ids, io) {
+  room.tiebreak = { ids, turn: 0 };
+  ids.forEach((id) => {
+    const p = room.players.get(id);
+    p.alive = true;
+    p.lives = 1;
+  });
+  const names = ids.map((id) => room.players.get(id).name);
+  io.to(code).emit("log:message", { message: MESSAGES.suddenDeath(names) });
+  io.to(code).emit("tiebreak:start", {
+    players: ids.map((id, i) => ({ id, name: names[i] })),
+    maxTurns: TIMER_CONFIG.suddenDeath.maxTurns,
+  });
+  io.to(code).emit("lobby:update", serializeRoom(room));
+  room.timers.nextTurn = clock.setTimeout(() => startNextTurn(code, room, io), DELAY_CONFIG.interRoundMs / 2);
+  touchRoom(room);
+}
+
+/**
+ * Suite de la mort subite après chaque tour : s'il ne reste qu'un joueur
+ * en vie, il remporte le match. Si tous sont tombés au même tour, ils
+ * sont remis en vie et rejouent. Au bout de TIMER_CONFIG.suddenDeath.maxTurns
+ * tours, les joueurs encore en lice se partagent la victoire.
+ *
+ * @param {string} code Le code de la room
+ * @param {Object} room L'état de la room
+ * @param {Object} io L'instance Socket.IO
+ */
+function continueSuddenDeath(code, room, io) {
+  const { ids, turn } = room.tiebreak;
+  let remaining = aliveIds(room);
+  if (remaining.length === 0) {
+    // Tous éliminés ensemble : l'égalité persiste entre ceux encore là
+    remaining = ids.filter((id) => room.players.get(id)?.online);
+    remaining.forEach((id) => {
+      room.players.get(id).alive = true;
+    });
+  }
+  if (remaining.length >= 2 && turn < TIMER_CONFIG.suddenDeath.maxTurns) {
+    startNextTurn(code, room, io);
+    return;
+  }
+  if (remaining.length === 0) remaining = ids.filter((id) => room.players.has(id));
+  const winners = remaining.map((id) => ({ id, name: room.players.get(id).name }));
+  const tiebreak = { method: winners.length === 1 ? "suddenDeath" : "shared", turns: turn, players: ids.map((id) => room.players.get(id)?.name || "?") };
+  room.tiebreak = null;
+  room.players.forEach((p) => {
+    p.alive = false;
+  });
+  finishMatch(code, room, winners, tiebreak, io);
+}
+
+/**
+ * Termine le match : game:end porte le ou les vainqueurs et, s'il y a eu
+ * égalité, la façon dont elle a été tranchée (`tiebreak` : méthode
+ * « suddenDeath » ou « shared », nombre de tours joués, joueurs
+ * concernés).
+ *
+ * @param {string} code Le code de la room
+ * @param {Object} room L'état de la room
+ * @param {Object[]} winners Les vainqueurs ({ id, name })
+ * @param {Object|null} tiebreak Résumé du départage, null sans égalité
+ * @param {Object} io L'instance Socket.IO
+ */
+function finishMatch(code, room, winners, tiebreak, io) {
+  const scores = buildScores(room);
+  io.to(code).emit("log:message", { message: MESSAGES.gameOver });
+  // Indiquer que la partie est terminée et réinitialiser le jeu. On
+  // désactive gameActive afin que le bouton Démarrer redevienne
+  // disponible pour l'host. Les joueurs restent dans le lobby avec leurs
+  // scores jusqu'au prochain match.
+  room.gameActive = false;
+  room.theme = null;
+  room.standings = null;
+  // Rétablir les réglages de l'host après un défi du jour
+  if (room.lobbySettings) {
+    room.settings = room.lobbySettings;
+    room.lobbySettings = null;
+  }
   // Diffuser l'état mis à jour du lobby (incluant gameActive=false)
   io.to(code).emit("lobby:update", serializeRoom(room));
   // Envoyer le tableau final des scores. Les clients afficheront un
   // overlay avec possibilité de rejouer ou revenir au menu.
-  io.to(code).emit("game:end", { winner, round: room.round, scores });
+  io.to(code).emit("game:end", {
+    winner: winners.length === 1 ? winners[0] : null,
+    winners,
+    tiebreak,
+    round: room.round,
+    scores,
+    match: matchInfo(room),
+  });
   touchRoom(room);
 }
 
+/**
+ * Tableau des scores trié par ordre décroissant. Inclut les joueurs
+ * offline mais pas les spectateurs, qui n'ont pas joué.
+ *
+ * @param {Object} room L'état de la room
+ * @returns {Object[]} Liste de { id, name, score, online }
+ */
+function buildScores(room) {
+  const scores = [...room.players.entries()].filter(([, p]) => p.role !== "spectator").map(([id, p]) => ({
+    id,
+    name: p.name,
+    score: p.score,
+    online: p.online,
+  }));
+  return scores.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Indique si le match est décidé à la fin d'un round : nombre de rounds
+ * atteint (mode « rounds »), score cible atteint (mode « points ») ou plus
+ * assez de joueurs en ligne pour continuer.
+ *
+ * @param {Object} room L'état de la room
+ * @param {Object[]} scores Tableau des scores trié
+ * @returns {boolean} true si la partie doit se terminer
+ */
+function isMatchOver(room, scores) {
+  const { matchMode, matchRounds, matchPoints } = room.settings;
+  const contenders = [...room.players.values()].filter((p) => p.online && p.role !== "spectator");
+  if (contenders.length < 2) return true;
+  if (matchMode === "points") return (scores[0]?.score || 0) >= matchPoints;
+  return room.round >= matchRounds;
+}
+
+/**
+ * Résumé du format du match envoyé aux clients.
+ *
+ * @param {Object} room L'état de la room
+ * @returns {{mode: string, target: number, round: number}}
+ */
+function matchInfo(room) {
+  const { matchMode, matchRounds, matchPoints } = room.settings;
+  return { mode: matchMode, target: matchMode === "points" ? matchPoints : matchRounds, round: room.round };
+}
+
 // Import the required functions from roomManager
-const { touchRoom, aliveIds, serializeRoom } = require("./roomManager");
+const { touchRoom, aliveIds, voterIds, soloPlayer, serializeRoom, countThemeVotes } = require("./roomManager");
 
 module.exports = {
   startNewRound,
+  finalizeThemeDraft,
   startNextTurn,
   endTurn,
   finalizeVote,
   endRound,
+  applyFault,
+  castVote,
+  settleVotes,
+  useJoker,
 };
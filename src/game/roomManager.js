@@ -1,3 +1,7 @@
+const crypto = require("node:crypto");
+const { THEMES, createDefaultSettings } = require("../config/settings");
+const { clock } = require("../utils/clock");
+
 /**
  * Instancie une nouvelle room (partie) avec tous les paramètres par défaut.
  * Chaque room possède son propre état indépendant (joueurs, scores,
@@ -6,34 +10,43 @@
  * spéciaux), vous pouvez enrichir cet objet ici.
  *
  * Les clés les plus importantes à connaître :
- * - players : Map associant chaque socketId à un objet {name, score, alive, online}
+ * - players : Map associant chaque identifiant de joueur à un objet
+ *   {name, score, alive, online, role, spectatorOnly, socketId, token,
+ *   disconnectedAt}. role vaut « player » ou « spectator » : un
+ *   spectateur regarde la partie sans jouer ni figurer au classement.
  *   → Permet de suivre l'état de chaque joueur (nom, points, statut).
- * - themes : liste des thèmes disponibles pour la partie. Modifiez ce
- *   tableau pour introduire vos propres catégories. Un thème est choisi
+ *   L'identifiant est stable : il survit aux reconnexions (voir
+ *   createPlayer() et player:resume), contrairement au socket.id.
+ * - settings : réglages de la partie négociés dans le lobby (courbe des
+ *   timers, durée du vote, niveau final, apparition des lettres, thèmes).
+ *   Voir config/settings.js. Un thème de settings.themes est choisi
  *   aléatoirement à chaque round.
  * - gameActive : booléen indiquant si une partie est en cours (empêche
  *   d'en lancer une autre). Passe à true sur game:start et redevient
  *   false après endRound().
  * - level : niveau global (augmente à chaque tour) utilisé pour
  *   calculer la durée du timer et le nombre de lettres interdites.
- * - punishedLetters : tableau des lettres interdites pour le tour.
- *   Généré à partir du niveau (voir generatePunishedLetters()).
+ * - punishedLetters / letterRuleType : lettres du tour et leur règle
+ *   (bannies ou obligatoires), tirées à partir du niveau (voir
+ *   getLetterRule()).
  * - turnStartedAt / currentTurnDuration / submissionTimes :
  *   utilisées pour calculer le score en fonction de la rapidité de
  *   réponse (voir endTurn()).
  *
- * Les timers (nextTurn, endTurn, newRound, voteEnd) sont stockés afin
+ * Les timers (nextTurn, endTurn, newRound, voteEnd, themeDraft) sont stockés afin
  * d'être annulés proprement si nécessaire (fermeture de room, élimination
  * immédiate, etc.).
  */
 function createRoom() {
   return {
-    players: new Map(),      // socketId -> { name, score, alive, online }
+    players: new Map(),      // playerId -> { name, score, alive, online, socketId, token }
     hostId: null,
     round: 0,
     theme: null,
     turn: 0,
     baseTurnMs: 10000,
+    // Mode sans fin : au-delà de la courbe des réglages, chaque niveau
+    // raccourcit le tour de turnDecayMs, sans descendre sous minTurnMs
     minTurnMs: 1000,
     turnDecayMs: 100,
     accepting: false,
@@ -44,22 +57,55 @@ function createRoom() {
     lastActivity: Date.now(),// date de dernière action (pour le timeout)
     // Timers utilisés pour les callbacks asynchrones. Un timer supplémentaire
     // voteEnd sera utilisé pendant la phase de vote pour annuler si besoin.
-    timers: { nextTurn: null, endTurn: null, newRound: null, voteEnd: null, botSubmit: null },
+    timers: { nextTurn: null, endTurn: null, newRound: null, voteEnd: null, themeDraft: null },
+    // Soumissions planifiées des bots pour le tour courant : botId -> timer
+    // (voir scheduleBotSubmission()).
+    botTimers: new Map(),
+    // Délais de grâce des joueurs déconnectés : playerId -> timer. À
+    // expiration, le joueur est considéré comme parti (voir handleDisconnect).
+    reconnectTimers: new Map(),
+    // Fin prévue de la phase de vote (ms), pour reconstruire l'UI d'un
+    // joueur qui se reconnecte pendant le vote.
+    voteEndsAt: null,
     // Structure de votes (initialisée lorsqu'un tour se termine)
     votes: new Map(),
     votingActive: false,
-    themes: [
-      // Les thèmes proposés; on peut personnaliser cette liste à loisir
-      "Jeux Vidéos (Nom Exact)",
-      "Personnage de LoL",
-      "Pokémons",
-      "Couleurs",
-      "Métiers",
-      "Pays",
-      "Prénoms",
-      "Marques",
-      "Anime",
-    ],
+    // Réglages propres à la room, modifiables par l'host dans le lobby
+    // (évènement room:settings) tant qu'aucune partie n'est en cours.
+    settings: createDefaultSettings(),
+    // Vote du thème en cours avant un round : { options, votes, endsAt }
+    // où votes associe chaque joueur au thème choisi. null hors draft.
+    themeDraft: null,
+    // Derniers thèmes joués, exclus des propositions du draft
+    // (voir TIMER_CONFIG.themeCooldown).
+    recentThemes: [],
+    // Listes de mots personnalisées fournies par l'host (rooms privées) :
+    // nom du thème -> Set de mots normalisés. Ces thèmes s'ajoutent aux
+    // thèmes par défaut et ne vivent que le temps de la room.
+    customLists: new Map(),
+    // Modération : une room verrouillée refuse les nouveaux joueurs (les
+    // reprises de session restent possibles) et les bannis (par jeton de
+    // session ou adresse IP) ne peuvent plus revenir tant que la room existe.
+    locked: false,
+    bans: { tokens: new Set(), ips: new Set() },
+    // Joueurs réduits au silence par l'host dans le chat (playerIds)
+    muted: new Set(),
+    // Classement affiché entre deux rounds d'un match
+    // ({ round, winner, scores, match, endsAt }), null le reste du temps
+    standings: null,
+    // Départage par mort subite en fin de match ({ ids, turn }), null le
+    // reste du temps. Seuls les joueurs de `ids` jouent ces tours.
+    tiebreak: null,
+    // Record du plus haut niveau atteint en mode sans fin dans cette room
+    // ({ level, round, theme, winner }), null tant qu'aucun round n'est joué
+    levelRecord: null,
+    // Défi du jour en cours ({ date, ranked }), null pour une partie
+    // normale. Les tirages de chaque tour utilisent alors un générateur
+    // initialisé par la date et le niveau (voir turnRng()).
+    daily: null,
+    // Réglages de l'host mis de côté pendant un défi du jour, qui se joue
+    // avec les réglages par défaut ; rétablis en fin de partie.
+    lobbySettings: null,
     // Indique si une partie est en cours. Empêche de démarrer une seconde
     // partie alors que la précédente n'est pas terminée. Lors du démarrage
     // (game:start) on passe gameActive à true et on le remet à false à
@@ -67,22 +113,31 @@ function createRoom() {
     gameActive: false,
     // Niveau global du jeu. Il s'incrémente à chaque tour, tous rounds
     // confondus. Le niveau 1 correspond au tout premier tour. Lorsque le
-    // niveau atteint 20, la partie se termine et on désigne le gagnant
+    // niveau atteint settings.maxLevel (20 par défaut), la partie se termine et on désigne le gagnant
     // selon le score total. Initialisé à 0 et incrémenté avant chaque
     // démarrage de tour.
     level: 0,
     // Lettres interdites (« punies ») pour le tour courant. À partir du
-    // niveau 10, certaines lettres sont tirées au hasard et interdisent
+    // niveau settings.lettersFromLevel (10 par défaut), certaines lettres sont tirées au hasard et interdisent
     // l'utilisation de mots les contenant. Ce tableau est renouvelé à
     // chaque tour et envoyé au client via turn:start.
     punishedLetters: [],
-    // Identifiant du bot (s'il existe). Lorsque l'host démarre une partie
-    // avec moins de deux joueurs humains, un bot est automatiquement
-    // ajouté à la room afin de permettre de tester le jeu en solo. Ce
-    // champ stocke l'identifiant du bot dans la Map `players`. S'il est
-    // null, aucun bot n'est présent. Le bot est traité comme un
-    // joueur normal (score, online, alive) et peut être éliminé.
-    botId: null,
+    // Type de règle appliquée à punishedLetters pour le tour courant :
+    // « forbid » (les lettres sont bannies) ou « require » (chaque mot doit
+    // toutes les contenir). Tiré selon TIMER_CONFIG.letterRules et envoyé
+    // au client via turn:start (letterRuleType).
+    letterRuleType: "forbid",
+    // Contrainte de mot du tour courant, ou null : { type: "startsWith",
+    // letter } ou { type: "minLength" | "maxLength", length }. Tirée selon
+    // TIMER_CONFIG.constraintRules et envoyée via turn:start (constraint).
+    constraint: null,
+    // Bots de la room : botId -> { level, auto }. Lorsque l'host démarre
+    // une partie avec moins de deux joueurs humains, un bot est
+    // automatiquement ajouté (auto: true) afin de permettre de tester le
+    // jeu en solo ; l'host peut aussi en ajouter depuis le lobby (voir
+    // config/bot.js). Chaque bot figure aussi dans la Map `players` et y
+    // est traité comme un joueur normal (score, online, alive).
+    bots: new Map(),
     /**
      * Horodatage du début du tour courant (en ms). Il est défini dans
      * startNextTurn() afin de calculer le temps écoulé pour chaque
@@ -104,6 +159,13 @@ function createRoom() {
      * tour dans startNextTurn().
      */
     submissionTimes: new Map(),
+    /**
+     * Jokers joués pendant le tour courant : types déjà utilisés par chaque
+     * joueur (« playerId:type »), temps supplémentaire accordé par le joker
+     * time et joueurs protégés des doublons par le joker shield. Remis à
+     * zéro au début de chaque tour.
+     */
+    turnJokers: { used: new Set(), extraMs: new Map(), shields: new Set() },
   };
 }
 
@@ -144,13 +206,111 @@ function touchRoom(room) {
  * @param {Object} room La room dont on supprime les timers
  */
 function clearRoomTimers(room) {
-  const { nextTurn, endTurn, newRound, voteEnd, botSubmit } = room.timers;
-  if (nextTurn) clearTimeout(nextTurn);
-  if (endTurn) clearTimeout(endTurn);
-  if (newRound) clearTimeout(newRound);
-  if (voteEnd) clearTimeout(voteEnd);
-  if (botSubmit) clearTimeout(botSubmit);
-  room.timers = { nextTurn: null, endTurn: null, newRound: null, voteEnd: null, botSubmit: null };
+  const { nextTurn, endTurn, newRound, voteEnd, themeDraft } = room.timers;
+  if (nextTurn) clock.clearTimeout(nextTurn);
+  if (endTurn) clock.clearTimeout(endTurn);
+  if (newRound) clock.clearTimeout(newRound);
+  if (voteEnd) clock.clearTimeout(voteEnd);
+  if (themeDraft) clock.clearTimeout(themeDraft);
+  room.timers = { nextTurn: null, endTurn: null, newRound: null, voteEnd: null, themeDraft: null };
+  room.botTimers.forEach((t) => clock.clearTimeout(t));
+  room.botTimers.clear();
+  room.reconnectTimers.forEach((t) => clearTimeout(t));
+  room.reconnectTimers.clear();
+}
+
+/**
+ * Crée l'état d'un joueur humain. Le joueur reçoit un identifiant stable
+ * (clé dans room.players) et un jeton de session secret, renvoyé dans
+ * l'acknowledgement de player:join. Le client conserve ce jeton pour
+ * reprendre sa place (player:resume) après une coupure réseau.
+ *
+ * Le rôle « spectator » concerne ceux qui arrivent pendant une partie
+ * (promus joueurs à la suivante, voir promoteSpectators()) et ceux qui
+ * ont choisi de seulement regarder (spectatorOnly).
+ *
+ * @param {string} name Nom du joueur
+ * @param {string} socketId Socket actuellement associé au joueur
+ * @param {string} [role="player"] « player » ou « spectator »
+ * @param {boolean} [spectatorOnly=false] Spectateur qui ne joue jamais
+ * @param {string|null} [identity=null] Identité persistante (resolveIdentity())
+ * @returns {{id: string, player: Object}} Identifiant et état du joueur
+ */
+function createPlayer(name, socketId, role = "player", spectatorOnly = false, identity = null) {
+  return {
+    id: `p-${crypto.randomBytes(6).toString("hex")}`,
+    player: {
+      name,
+      score: 0,
+      alive: false,
+      online: true,
+      role,
+      spectatorOnly,
+      socketId,
+      token: crypto.randomBytes(16).toString("hex"),
+      identity,
+      disconnectedAt: null,
+    },
+  };
+}
+
+/**
+ * Identité persistante d'un joueur, commune à toutes les rooms et
+ * conservée par le navigateur (contrairement au jeton de session, propre
+ * à une room). Elle sert aux records du mode solo. Une valeur absente ou
+ * mal formée est remplacée par une nouvelle identité.
+ *
+ * @param {*} value Identité envoyée par le client
+ * @returns {string} Identité valide
+ */
+function resolveIdentity(value) {
+  if (typeof value === "string" && /^[a-f0-9]{32}$/.test(value)) return value;
+  return crypto.randomBytes(16).toString("hex");
+}
+
+/**
+ * Retire un joueur de la room et efface ses traces dans le tour en cours
+ * (soumission, votes émis ou reçus, vote du thème, délai de reconnexion).
+ * Utilisé par les actions de modération de l'host (exclusion, bannissement).
+ *
+ * @param {Object} room La room
+ * @param {string} playerId Le joueur à retirer
+ * @returns {Object|null} L'état du joueur retiré, ou null s'il n'existait pas
+ */
+function removePlayer(room, playerId) {
+  const p = room.players.get(playerId);
+  if (!p) return null;
+  room.players.delete(playerId);
+  room.submissions.delete(playerId);
+  room.submissionTimes.delete(playerId);
+  room.votes.delete(playerId);
+  room.votes.forEach((voters) => voters.delete(playerId));
+  if (room.themeDraft) room.themeDraft.votes.delete(playerId);
+  room.muted.delete(playerId);
+  const graceTimer = room.reconnectTimers.get(playerId);
+  if (graceTimer) {
+    clearTimeout(graceTimer);
+    room.reconnectTimers.delete(playerId);
+  }
+  room.bots.delete(playerId);
+  clock.clearTimeout(room.botTimers.get(playerId));
+  room.botTimers.delete(playerId);
+  return p;
+}
+
+/**
+ * Retrouve un joueur à partir de son jeton de session.
+ *
+ * @param {Object} room La room
+ * @param {string} token Jeton de session fourni par le client
+ * @returns {[string, Object]|null} Couple [playerId, joueur] ou null
+ */
+function findPlayerByToken(room, token) {
+  if (!token || typeof token !== "string") return null;
+  for (const entry of room.players) {
+    if (entry[1].token === token) return entry;
+  }
+  return null;
 }
 
 /**
@@ -168,7 +328,50 @@ function onlineCount(room) {
 }
 
 /**
- * Retourne les identifiants (socketId) des joueurs encore en vie dans une room.
+ * Le joueur d'une partie solo : le seul humain en ligne ayant le rôle
+ * « player » (voir launchGame()). Un joueur parti pendant son délai de
+ * reconnexion n'est pas retenu.
+ *
+ * @param {Object} room La room
+ * @returns {Object|null} Le joueur, ou null
+ */
+function soloPlayer(room) {
+  for (const [id, p] of room.players) {
+    if (!room.bots.has(id) && p.online && p.role !== "spectator") return p;
+  }
+  return null;
+}
+
+/**
+ * Compte les joueurs humains en ligne ayant le rôle « player » (hors bot
+ * et spectateurs). Sert à décider s'il faut un bot pour jouer.
+ *
+ * @param {Object} room La room
+ * @returns {number} Le nombre de joueurs humains en ligne
+ */
+function humanOnlineCount(room) {
+  let n = 0;
+  room.players.forEach((p, id) => {
+    if (!room.bots.has(id) && p.online && p.role !== "spectator") n++;
+  });
+  return n;
+}
+
+/**
+ * Promeut en joueurs les spectateurs arrivés pendant la partie précédente.
+ * Appelé au lancement d'une partie (game:start / game:restart). Les
+ * spectateurs volontaires (spectatorOnly) restent spectateurs.
+ *
+ * @param {Object} room La room
+ */
+function promoteSpectators(room) {
+  room.players.forEach((p) => {
+    if (p.role === "spectator" && !p.spectatorOnly) p.role = "player";
+  });
+}
+
+/**
+ * Retourne les identifiants des joueurs encore en vie dans une room.
  *
  * @param {Object} room La room
  * @returns {string[]} Tableau d'identifiants
@@ -179,6 +382,22 @@ function aliveIds(room) {
     .map(([id]) => id);
 }
 
+/**
+ * Retourne les identifiants des joueurs pouvant voter : humains vivants et
+ * en ligne. Un joueur en délai de grâce reste vivant mais ne compte pas
+ * dans les seuils de majorité tant qu'il n'est pas revenu. Les bots ne
+ * votent pas : tout mot accepté figure déjà dans la banque, ils n'ont donc
+ * rien à signaler et ne doivent pas gonfler la majorité.
+ *
+ * @param {Object} room La room
+ * @returns {string[]} Tableau d'identifiants
+ */
+function voterIds(room) {
+  return [...room.players.entries()]
+    .filter(([id, p]) => p.alive && p.online && !room.bots.has(id))
+    .map(([id]) => id);
+}
+
 /**
  * Ferme et supprime une room. Les timers sont annulés et un
  * événement room:closed est envoyé aux clients pour qu'ils se déconnectent
@@ -197,6 +416,34 @@ function killRoom(code, reason = "closed", io) {
   rooms.delete(code);
 }
 
+/**
+ * Liste les thèmes que l'host peut activer dans les réglages de la room :
+ * les thèmes par défaut puis ceux des listes personnalisées.
+ *
+ * @param {Object} room La room
+ * @returns {string[]} Thèmes sélectionnables
+ */
+function availableThemes(room) {
+  return [...THEMES, ...room.customLists.keys()];
+}
+
+/**
+ * Compte les votes de la phase de draft pour chaque thème proposé.
+ *
+ * @param {Object} draft room.themeDraft
+ * @returns {Object} Association thème -> nombre de votes
+ */
+function countThemeVotes(draft) {
+  const counts = {};
+  draft.options.forEach((t) => {
+    counts[t] = 0;
+  });
+  draft.votes.forEach((theme) => {
+    counts[theme] += 1;
+  });
+  return counts;
+}
+
 /**
  * Prépare la représentation du lobby pour l'envoyer aux clients. On
  * convertit la Map des joueurs en tableau pour faciliter le JSON et on
@@ -213,8 +460,18 @@ function serializeRoom(room) {
       score: p.score,
       alive: p.alive,
       online: p.online,
+      role: p.role || "player",
+      spectatorOnly: !!p.spectatorOnly,
+      lives: p.lives || 0,
+      jokers: p.jokers || {},
+      isBot: room.bots.has(id) || !!p.external,
+      external: !!p.external,
+      botLevel: room.bots.get(id)?.level || null,
+      muted: room.muted.has(id),
     })),
     hostId: room.hostId,
+    // Room verrouillée par l'host : plus aucun nouveau joueur accepté
+    locked: room.locked,
     round: room.round,
     turn: room.turn,
     theme: room.theme,
@@ -225,7 +482,94 @@ function serializeRoom(room) {
     // Niveau actuel (tours cumulés). Peut être utilisé côté client
     // pour afficher le niveau ou adapter l'UI.
     level: room.level,
+    // Plus haut niveau atteint en mode sans fin (voir recordLevel())
+    levelRecord: room.levelRecord,
+    // Réglages de la partie et thèmes sélectionnables, affichés dans le
+    // formulaire du lobby pour que chacun connaisse les règles.
+    settings: room.settings,
+    availableThemes: availableThemes(room),
+    // Listes personnalisées de la room (nom et nombre de mots)
+    customLists: [...room.customLists].map(([theme, words]) => ({ theme, size: words.size })),
+    // Vote du thème en cours (propositions et nombre de voix), ou null
+    themeDraft: room.themeDraft
+      ? { options: room.themeDraft.options, counts: countThemeVotes(room.themeDraft) }
+      : null,
+  };
+}
+
+/**
+ * Construit un instantané complet de la room pour un joueur qui se
+ * reconnecte (évènement room:state) : état du lobby, phase en cours et
+ * temps restant, afin que le client reconstruise le tour, le timer, le
+ * vote du thème ou la zone de vote.
+ *
+ * @param {Object} room La room
+ * @param {string} playerId Le joueur destinataire
+ * @returns {Object} L'instantané à envoyer
+ */
+function serializeRoomState(room, playerId) {
+  const now = clock.now();
+  const state = {
+    lobby: serializeRoom(room),
+    phase: "lobby",
+    usedWords: [...room.usedWords],
+    themeDraft: null,
+    turn: null,
+    vote: null,
+    standings: null,
   };
+  if (room.themeDraft) {
+    state.phase = "draft";
+    state.themeDraft = {
+      round: room.round,
+      options: room.themeDraft.options,
+      counts: countThemeVotes(room.themeDraft),
+      remainingMs: Math.max(0, room.themeDraft.endsAt - now),
+      myVote: room.themeDraft.votes.get(playerId) || null,
+    };
+  } else if (room.accepting) {
+    state.phase = "turn";
+    state.turn = {
+      turn: room.turn,
+      turnMs: room.currentTurnDuration + (room.turnJokers.extraMs.get(playerId) || 0),
+      elapsedMs: Math.max(0, now - room.turnStartedAt),
+      punishedLetters: room.punishedLetters,
+      letterRuleType: room.letterRuleType,
+      constraint: room.constraint,
+      suddenDeath: !!room.tiebreak,
+      submitted: room.submissions.size,
+      lockedWord: room.submissions.get(playerId) || null,
+    };
+  } else if (room.votingActive) {
+    state.phase = "vote";
+    const votedTargets = [];
+    const votes = {};
+    room.votes.forEach((voters, target) => {
+      if (voters.has(playerId)) votedTargets.push(target);
+      if (voters.size > 0) votes[target] = voters.size;
+    });
+    state.vote = {
+      // Mots encore soumis au vote (ni doublon sanctionné, ni déjà invalidé)
+      submissions: [...room.submissions.entries()]
+        .filter(([id]) => room.votes.has(id))
+        .map(([id, word]) => ({
+          id,
+          name: room.players.get(id)?.name || "?",
+          word,
+        })),
+      remainingMs: Math.max(0, (room.voteEndsAt || now) - now),
+      votedTargets,
+      // Nombre de voix contre chaque mot encore en jeu
+      votes,
+    };
+  } else if (room.gameActive) {
+    state.phase = "between";
+    if (room.standings) {
+      const { endsAt, ...standings } = room.standings;
+      state.standings = { ...standings, remainingMs: Math.max(0, endsAt - now) };
+    }
+  }
+  return state;
 }
 
 module.exports = {
@@ -233,9 +577,20 @@ module.exports = {
   getRoom,
   touchRoom,
   clearRoomTimers,
+  createPlayer,
+  resolveIdentity,
+  removePlayer,
+  findPlayerByToken,
   onlineCount,
+  humanOnlineCount,
+  soloPlayer,
+  promoteSpectators,
   aliveIds,
+  voterIds,
   killRoom,
+  availableThemes,
+  countThemeVotes,
   serializeRoom,
+  serializeRoomState,
   rooms,
 };
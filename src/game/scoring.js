@@ -0,0 +1,111 @@
+/**
+ * Calcul des points
+ *
+ * Chaque room choisit une stratégie de score (room.settings.scoring).
+ * Une stratégie est une liste de composantes, chacune attribuant des
+ * points à un mot valide en fin de tour :
+ * - speed : 10 à 1 point selon la rapidité de soumission (fraction du
+ *   timer écoulée) ;
+ * - survival : nombre fixe de points pour chaque tour survécu ;
+ * - length : bonus selon la longueur du mot ;
+ * - rarity : multiplicateur des points précédents selon la rareté du mot
+ *   dans les parties passées (voir data/wordStats.js), rapporté comme un
+ *   bonus.
+ * Le détail des points de chaque joueur est envoyé dans turn:end afin que
+ * le client puisse afficher « +7 (vitesse) +2 (longueur) ». Les bonus de
+ * fin de round (gagnant et survivants) sont communs à toutes les
+ * stratégies.
+ */
+const { wordLength } = require("../utils/wordUtils");
+const { rarityMultiplier } = require("../data/wordStats");
+
+const SCORING_STRATEGIES = {
+  speed: ["speed"],
+  survival: ["survival"],
+  length: ["length"],
+  rarity: ["survival", "rarity"],
+  combined: ["speed", "length", "rarity"],
+};
+
+const SCORING_CONFIG = {
+  survivalPoints: 5,   // points fixes par tour survécu
+  lengthFrom: 4,       // longueur à partir de laquelle le bonus démarre
+  lengthMax: 8,        // bonus de longueur maximal
+  rarityMinPlays: 50,  // mots enregistrés pour un thème avant d'appliquer la rareté
+  rarityMaxMultiplier: 2, // multiplicateur d'un mot jamais joué
+  roundWinner: 3,      // bonus du gagnant du round
+  roundSurvivor: 1,    // bonus de chaque survivant en fin de round
+  duplicatePenalty: 3, // points perdus par doublon (réglage duplicateMode « penalty »)
+};
+
+/**
+ * Points de chaque composante pour un mot valide. `subtotal` contient les
+ * points des composantes précédentes de la stratégie.
+ */
+const COMPONENTS = {
+  speed(room, playerId) {
+    const submitTs = room.submissionTimes.get(playerId);
+    if (!submitTs || !room.turnStartedAt || !room.currentTurnDuration) return 0;
+    const elapsed = submitTs - room.turnStartedAt;
+    const score = 10 - Math.floor((elapsed / room.currentTurnDuration) * 10);
+    return Math.min(10, Math.max(1, score));
+  },
+  survival() {
+    return SCORING_CONFIG.survivalPoints;
+  },
+  length(room, playerId, word) {
+    const bonus = wordLength(word) - SCORING_CONFIG.lengthFrom;
+    return Math.min(SCORING_CONFIG.lengthMax, Math.max(0, bonus));
+  },
+  rarity(room, playerId, word, subtotal) {
+    const multiplier = rarityMultiplier(room.theme, word, {
+      minPlays: SCORING_CONFIG.rarityMinPlays,
+      maxMultiplier: SCORING_CONFIG.rarityMaxMultiplier,
+    });
+    return Math.round(subtotal * (multiplier - 1));
+  },
+};
+
+/**
+ * Calcule les points d'un joueur pour son mot valide du tour, selon la
+ * stratégie de la room. Les composantes à zéro ne figurent pas dans le
+ * détail.
+ *
+ * @param {Object} room L'état de la room
+ * @param {string} playerId Le joueur
+ * @param {string} word Le mot normalisé soumis
+ * @returns {{total: number, parts: {rule: string, points: number}[]}}
+ */
+function scoreTurn(room, playerId, word) {
+  const rules = SCORING_STRATEGIES[room.settings.scoring] || SCORING_STRATEGIES.speed;
+  const parts = [];
+  let total = 0;
+  for (const rule of rules) {
+    const points = COMPONENTS[rule](room, playerId, word, total);
+    if (points > 0) parts.push({ rule, points });
+    total += points;
+  }
+  return { total, parts };
+}
+
+/**
+ * Attribue les bonus de fin de round : SCORING_CONFIG.roundWinner au
+ * gagnant et SCORING_CONFIG.roundSurvivor à chaque joueur encore en vie.
+ *
+ * @param {Object} room L'état de la room
+ * @param {string|null} winnerId Le gagnant du round
+ */
+function applyRoundBonus(room, winnerId) {
+  const winner = winnerId ? room.players.get(winnerId) : null;
+  if (winner) winner.score += SCORING_CONFIG.roundWinner;
+  room.players.forEach((p) => {
+    if (p.alive) p.score += SCORING_CONFIG.roundSurvivor;
+  });
+}
+
+module.exports = {
+  SCORING_STRATEGIES,
+  SCORING_CONFIG,
+  scoreTurn,
+  applyRoundBonus,
+};
@@ -29,13 +29,31 @@ const { Server } = require("socket.io");
 // Import modules
 const { CONFIG } = require("./config/messages");
 const { rooms, killRoom, onlineCount } = require("./game/roomManager");
+const { getWordStats } = require("./data/wordStats");
+const { flushPendingWriters } = require("./data/jsonStore");
+const { dailyDate, dailyTheme, getDailyLeaderboard } = require("./data/dailyChallenge");
 const {
   handlePlayerJoin,
+  handleBotJoin,
+  handlePlayerResume,
   handleGameStart,
   handleGameMenu,
   handleGameRestart,
+  handleRoomSettings,
+  handleWordList,
+  handleThemeVote,
   handleTurnSubmit,
   handleTurnVote,
+  handleTurnJoker,
+  handleHostKick,
+  handleHostBan,
+  handleHostTransfer,
+  handleRoomLock,
+  handleBotAdd,
+  handleBotRemove,
+  handleHostMute,
+  handleChatSend,
+  handleSoloBests,
   handleDisconnect,
 } = require("./socket/handlers");
 
@@ -49,6 +67,27 @@ const PORT = process.env.PORT || 3000;
 // Middleware for serving static files from public directory
 app.use(express.static("public"));
 
+// Read-only word statistics: GET /api/stats/words lists the themes,
+// ?theme=<name>&limit=<n> returns its most and least used words
+app.get("/api/stats/words", (req, res) => {
+  const theme = typeof req.query.theme === "string" ? req.query.theme : null;
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+  const stats = getWordStats(theme, limit);
+  if (!stats) {
+    res.status(404).json({ error: "Unknown theme" });
+    return;
+  }
+  res.json(stats);
+});
+
+// Daily challenge leaderboard: GET /api/daily[?date=YYYY-MM-DD&limit=<n>]
+// returns the theme of the day and its ranked attempts
+app.get("/api/daily", async (req, res) => {
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(req.query.date) ? req.query.date : dailyDate();
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+  res.json({ theme: await dailyTheme(date), ...getDailyLeaderboard(date, limit) });
+});
+
 // Socket.IO connection handling
 io.on("connection", (socket) => {
   console.log("Client connected", socket.id);
@@ -58,6 +97,16 @@ io.on("connection", (socket) => {
     handlePlayerJoin(socket, data, ack, io);
   });
 
+  // External bot joins a room with a token from BOT_TOKENS
+  socket.on("bot:join", (data, ack) => {
+    handleBotJoin(socket, data, ack, io);
+  });
+
+  // Player resumes a previous session after a disconnection
+  socket.on("player:resume", (data, ack) => {
+    handlePlayerResume(socket, data, ack, io);
+  });
+
   // Host starts game
   socket.on("game:start", () => {
     handleGameStart(socket, io);
@@ -73,6 +122,29 @@ io.on("connection", (socket) => {
     handleGameRestart(socket, io);
   });
 
+  // Host adds or removes a bot from the lobby
+  socket.on("bot:add", (data, ack) => {
+    handleBotAdd(socket, data, ack, io);
+  });
+  socket.on("bot:remove", (data) => {
+    handleBotRemove(socket, data, io);
+  });
+
+  // Host updates room settings from the lobby
+  socket.on("room:settings", (data, ack) => {
+    handleRoomSettings(socket, data, ack, io);
+  });
+
+  // Host uploads or removes a custom word list (private rooms)
+  socket.on("room:wordlist", (data, ack) => {
+    handleWordList(socket, data, ack, io);
+  });
+
+  // Player votes for the next round's theme
+  socket.on("theme:vote", (data) => {
+    handleThemeVote(socket, data, io);
+  });
+
   // Player submits word
   socket.on("turn:submit", (word) => {
     handleTurnSubmit(socket, word, io);
@@ -83,6 +155,38 @@ io.on("connection", (socket) => {
     handleTurnVote(socket, data, io);
   });
 
+  // Player spends a joker during the turn or the vote
+  socket.on("turn:joker", (data, ack) => {
+    handleTurnJoker(socket, data, ack, io);
+  });
+
+  // Host moderation: kick, ban, transfer host, lock room
+  socket.on("host:kick", (data) => {
+    handleHostKick(socket, data, io);
+  });
+  socket.on("host:ban", (data) => {
+    handleHostBan(socket, data, io);
+  });
+  socket.on("host:transfer", (data) => {
+    handleHostTransfer(socket, data, io);
+  });
+  socket.on("room:lock", (data) => {
+    handleRoomLock(socket, data, io);
+  });
+  socket.on("host:mute", (data) => {
+    handleHostMute(socket, data, io);
+  });
+
+  // Room chat
+  socket.on("chat:send", (data, ack) => {
+    handleChatSend(socket, data, ack, io);
+  });
+
+  // Solo personal bests, shown on the join screen
+  socket.on("solo:bests", (data, ack) => {
+    handleSoloBests(socket, data, ack);
+  });
+
   // Player disconnects
   socket.on("disconnect", () => {
     handleDisconnect(socket, io);
@@ -95,13 +199,15 @@ io.on("connection", (socket) => {
  * createdAt (creation date) and lastActivity (date of last
  * significant event). According to CONFIG.ROOM_MAX_AGE_MS and
  * CONFIG.ROOM_IDLE_MS, we decide whether to delete a room or not.
+ * Empty rooms are kept while a disconnected player may still resume.
  */
 setInterval(() => {
   const now = Date.now();
   for (const [code, room] of rooms) {
     const tooOld = now - room.createdAt > CONFIG.ROOM_MAX_AGE_MS;
     const tooIdle = now - room.lastActivity > CONFIG.ROOM_IDLE_MS;
-    if (onlineCount(room) === 0 || tooOld || tooIdle) {
+    const empty = onlineCount(room) === 0 && room.reconnectTimers.size === 0;
+    if (empty || tooOld || tooIdle) {
       killRoom(code, tooOld ? "max_age" : tooIdle ? "idle" : "empty", io);
     }
   }
@@ -111,3 +217,16 @@ setInterval(() => {
 server.listen(PORT, () => {
   console.log(`Server listening on http://localhost:${PORT}`);
 });
+
+// Graceful shutdown: the JSON stores (word stats, personal bests, daily
+// results) batch their writes for a few seconds, so pending ones are
+// written before the process exits
+let shuttingDown = false;
+function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} received, saving data before exit`);
+  flushPendingWriters().finally(() => process.exit(0));
+}
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
@@ -1,99 +1,291 @@
-const { normalizeWord } = require("../utils/wordUtils");
-const { getRoom, touchRoom, onlineCount, aliveIds, killRoom, serializeRoom } = require("../game/roomManager");
-const { startNewRound } = require("../game/gameLogic");
-const { addBot, removeBot } = require("../config/bot");
+const { normalizeWord, normalizeKey, respectsLetterRule, respectsConstraint } = require("../utils/wordUtils");
+const { escapeHtml } = require("../utils/textUtils");
+const { clock } = require("../utils/clock");
+const { parseWordList } = require("../data/wordBank");
+const { getPersonalBests } = require("../data/personalBests");
+const { dailyDate, startDailyAttempt } = require("../data/dailyChallenge");
+const {
+  rooms,
+  getRoom,
+  touchRoom,
+  createPlayer,
+  resolveIdentity,
+  removePlayer,
+  findPlayerByToken,
+  humanOnlineCount,
+  soloPlayer,
+  promoteSpectators,
+  killRoom,
+  availableThemes,
+  countThemeVotes,
+  serializeRoom,
+  serializeRoomState,
+} = require("../game/roomManager");
+const { startNewRound, finalizeThemeDraft, castVote, settleVotes, useJoker } = require("../game/gameLogic");
+const { createJokerInventory } = require("../config/jokers");
+const { BOT_CONFIG, addBot, removeBot, removeBots, isBotToken, externalBotChannel } = require("../config/bot");
+const { THEMES, CUSTOM_LIST_LIMITS, createDefaultSettings, sanitizeSettings } = require("../config/settings");
+const { CONFIG, CHAT_CONFIG, SUBMIT_CONFIG } = require("../config/messages");
+
+/**
+ * Adresse IP du client, utilisée pour les bannissements. Les en-têtes de
+ * transfert ne sont lus que derrière un proxy configuré (CONFIG.TRUST_PROXY) :
+ * Fly-Client-IP pour Fly, sinon la dernière entrée de X-Forwarded-For,
+ * ajoutée par le proxy lui-même. Sans proxy, l'adresse de la connexion.
+ *
+ * @param {Object} socket Le socket du client
+ * @returns {string} L'adresse IP
+ */
+function clientIp(socket) {
+  const headers = socket.handshake.headers || {};
+  let forwarded = "";
+  if (CONFIG.TRUST_PROXY === "fly") {
+    forwarded = String(headers["fly-client-ip"] || "").trim();
+  } else if (CONFIG.TRUST_PROXY) {
+    forwarded = String(headers["x-forwarded-for"] || "").split(",").pop().trim();
+  }
+  return forwarded || socket.handshake.address;
+}
 
 /**
  * Rejoindre une room. Le client doit envoyer un objet contenant
- * { name, code }. Si le code est vide, la room « public » est utilisée.
- * Le serveur associe le socket à la room et diffuse l'état mis à jour.
+ * { name, code, spectate, identity }. Si le code est vide, la room « public » est utilisée.
+ * Le serveur crée un joueur avec un identifiant stable, associe le socket
+ * à la room et diffuse l'état mis à jour. L'acknowledgement contient
+ * l'identifiant et le jeton de session que le client doit conserver pour
+ * reprendre sa place avec player:resume, ainsi que son identité
+ * persistante (nouvelle si `identity` est absente ou invalide). Une room
+ * verrouillée, un client banni ou un code contenant « # » (réservé aux
+ * canaux des bots externes) reçoit { ok: false, error }. Avec
+ * `external`, le joueur est un bot externe authentifié (voir
+ * handleBotJoin()).
  */
-function handlePlayerJoin(socket, { name, code }, ack, io) {
+function handlePlayerJoin(socket, { name, code, spectate, identity }, ack, io, external = false) {
   const cleanName = String(name || "Joueur").trim().slice(0, 20) || "Joueur";
   const roomCode = String(code || "public").slice(0, 32);
+  const reply = typeof ack === "function" ? ack : () => {};
+  if (roomCode.includes("#")) {
+    reply({ ok: false, error: "Code de room invalide." });
+    return;
+  }
   // Récupérer ou créer la room
   const room = getRoom(roomCode);
+  const ip = clientIp(socket);
+  if (room.bans.ips.has(ip)) {
+    reply({ ok: false, error: "Tu as été banni de cette room." });
+    return;
+  }
+  if (room.locked) {
+    reply({ ok: false, error: "Cette room est verrouillée." });
+    return;
+  }
   socket.join(roomCode);
   socket.data.room = roomCode;
-  // Ajouter le joueur à la room
-  room.players.set(socket.id, {
-    name: cleanName,
-    score: 0,
-    alive: false,
-    online: true,
-  });
+  // Ajouter le joueur à la room. Un joueur qui arrive pendant une partie
+  // la regarde en spectateur jusqu'à la suivante ; spectate permet de ne
+  // jamais jouer.
+  const role = spectate || room.gameActive ? "spectator" : "player";
+  const { id: playerId, player } = createPlayer(cleanName, socket.id, role, !!spectate, resolveIdentity(identity));
+  player.ip = ip;
+  if (external) {
+    player.external = true;
+    socket.join(externalBotChannel(roomCode));
+  }
+  room.players.set(playerId, player);
+  socket.data.playerId = playerId;
   // Attribuer l'host s'il n'existe pas encore
-  if (!room.hostId) room.hostId = socket.id;
-  // Si un bot est présent et qu'il y a maintenant au moins deux joueurs
-  // humains connectés, on peut retirer le bot car il n'est plus nécessaire.
-  let humanOnline = 0;
-  room.players.forEach((p, id) => {
-    if (id !== room.botId && p.online) humanOnline++;
-  });
-  if (room.botId && humanOnline >= 2) {
-    removeBot(room);
+  if (!room.hostId) room.hostId = playerId;
+  // S'il y a maintenant au moins deux joueurs humains connectés, le bot
+  // ajouté automatiquement n'est plus nécessaire. Les bots ajoutés par
+  // l'host restent.
+  if (humanOnlineCount(room) >= 2) {
+    removeBots(room, true);
+    settleVotes(roomCode, room, io);
   }
   // Diffuser l'état
   io.to(roomCode).emit("lobby:update", serializeRoom(room));
-  if (typeof ack === "function") {
-    ack({ ok: true, host: room.hostId === socket.id });
+  reply({ ok: true, host: room.hostId === playerId, playerId, token: player.token, identity: player.identity });
+  touchRoom(room);
+}
+
+/**
+ * Rejoindre une room en tant que bot externe. Le client envoie les mêmes
+ * données que player:join plus { token }, l'un des jetons de BOT_TOKENS.
+ * Le bot est un joueur comme les autres (il peut reprendre sa place avec
+ * player:resume) et reçoit en plus bot:turn et bot:turnEnd. Il ne peut pas
+ * rejoindre en spectateur.
+ */
+function handleBotJoin(socket, data, ack, io) {
+  const reply = typeof ack === "function" ? ack : () => {};
+  if (!isBotToken(data?.token)) {
+    reply({ ok: false, error: "Jeton de bot invalide." });
+    return;
+  }
+  handlePlayerJoin(socket, { ...data, spectate: false }, reply, io, true);
+}
+
+/**
+ * Reprendre sa place après une coupure. Le client envoie { code, token }
+ * avec le jeton reçu lors de player:join. Si le joueur est retrouvé et que
+ * son délai de grâce (CONFIG.RECONNECT_GRACE_MS) n'a pas expiré, le socket
+ * est rattaché au joueur, qui conserve son score et son statut. Le client
+ * reçoit ensuite un instantané room:state pour reconstruire l'interface.
+ * Une reprise depuis un autre onglet détache l'ancienne connexion.
+ */
+function handlePlayerResume(socket, { code, token } = {}, ack, io) {
+  const reply = typeof ack === "function" ? ack : () => {};
+  const roomCode = String(code || "public").slice(0, 32);
+  const room = rooms.get(roomCode);
+  const found = room ? findPlayerByToken(room, token) : null;
+  if (!found) {
+    reply({ ok: false, error: "Session expirée." });
+    return;
+  }
+  const [playerId, p] = found;
+  if (room.bans.tokens.has(token) || room.bans.ips.has(clientIp(socket))) {
+    reply({ ok: false, error: "Tu as été banni de cette room." });
+    return;
   }
+  if (!p.online && Date.now() - p.disconnectedAt > CONFIG.RECONNECT_GRACE_MS) {
+    reply({ ok: false, error: "Session expirée." });
+    return;
+  }
+  // Annuler la fin du délai de grâce
+  const graceTimer = room.reconnectTimers.get(playerId);
+  if (graceTimer) {
+    clearTimeout(graceTimer);
+    room.reconnectTimers.delete(playerId);
+  }
+  // Détacher une éventuelle connexion précédente encore ouverte
+  if (p.online && p.socketId !== socket.id) {
+    const previous = io.sockets.sockets.get(p.socketId);
+    if (previous) {
+      previous.leave(roomCode);
+      previous.leave(externalBotChannel(roomCode));
+      delete previous.data.room;
+      delete previous.data.playerId;
+    }
+  }
+  p.online = true;
+  p.socketId = socket.id;
+  p.disconnectedAt = null;
+  socket.join(roomCode);
+  if (p.external) socket.join(externalBotChannel(roomCode));
+  socket.data.room = roomCode;
+  socket.data.playerId = playerId;
+  if (!room.hostId) room.hostId = playerId;
+  io.to(roomCode).emit("lobby:update", serializeRoom(room));
+  reply({ ok: true, host: room.hostId === playerId, playerId, token: p.token, name: p.name });
+  io.to(socket.id).emit("room:state", serializeRoomState(room, playerId));
   touchRoom(room);
 }
 
 /**
- * L'host démarre une partie. Vérifie qu'il y a au moins deux joueurs en
- * ligne, puis lance le premier round. Si ce n'est pas le cas, renvoie
- * une erreur uniquement à l'host.
+ * Records personnels du mode solo, affichés sur l'écran de connexion. Le
+ * client envoie { identity } ; l'acknowledgement contient { ok, bests }.
  */
-function handleGameStart(socket, io) {
-  const code = socket.data.room;
-  const room = getRoom(code);
-  if (!room) return;
-  if (socket.id !== room.hostId) return;
-  // Empêcher de lancer une partie si une autre est en cours ou si
-  // moins de deux joueurs humains sont en ligne. On compte les joueurs
-  // humains (id différent du bot) qui sont connectés. Si le total est
-  // inférieur à 2, on insère un bot pour permettre de jouer en solo.
+function handleSoloBests(socket, { identity } = {}, ack) {
+  const reply = typeof ack === "function" ? ack : () => {};
+  if (typeof identity !== "string" || resolveIdentity(identity) !== identity) {
+    reply({ ok: true, bests: [] });
+    return;
+  }
+  reply({ ok: true, bests: getPersonalBests(identity) });
+}
+
+/**
+ * Lance une partie pour game:start et game:restart. Empêche de lancer une
+ * partie si une autre est en cours. Les spectateurs arrivés pendant la
+ * partie précédente deviennent joueurs. En mode solo, un seul joueur doit
+ * être en ligne et aucun bot n'est ajouté ; le défi du jour remet en plus
+ * les règles par défaut et enregistre la tentative (classée si c'est la
+ * première de la journée pour cette identité). Sinon, si moins de deux joueurs
+ * humains sont en ligne, on insère un bot pour permettre de jouer à deux ;
+ * s'il n'y a toujours pas deux joueurs, l'host reçoit une erreur.
+ *
+ * @param {Object} socket Le socket de l'host
+ * @param {string} code Le code de la room
+ * @param {Object} room L'état de la room
+ * @param {Object} io L'instance Socket.IO
+ */
+function launchGame(socket, code, room, io) {
   if (room.gameActive) {
     io.to(socket.id).emit("game:error", {
       message: "Problème de création du Lobby, Demande à Kiddy",
     });
     return;
   }
-  // Compter les humains en ligne (on ignore le bot si déjà présent)
-  let humanCount = 0;
-  room.players.forEach((p, id) => {
-    if (id !== room.botId && p.online) humanCount++;
-  });
-  // Si moins de deux humains, ajouter un bot
-  if (humanCount < 2) {
-    addBot(room);
+  promoteSpectators(room);
+  if (room.settings.solo) {
+    // Mode solo : pas de bot, un seul joueur (les spectateurs regardent)
+    if (humanOnlineCount(room) !== 1) {
+      io.to(socket.id).emit("game:error", { message: "Le mode solo se joue seul dans la room." });
+      return;
+    }
+    removeBots(room);
+  } else if (humanOnlineCount(room) + room.bots.size < 2) {
+    // Compter les humains en ligne (hors spectateurs) et les bots déjà
+    // présents. S'il manque un adversaire, ajouter un bot automatique
+    addBot(room, room.settings.botLevel, true);
   }
   // Après ajout du bot, vérifier qu'au moins deux joueurs (humain ou bot)
-  // sont présents. Sinon, renvoyer une erreur.
-  if (onlineCount(room) < 2) {
+  // sont présents, un seul en solo. Sinon, renvoyer une erreur.
+  if (!room.settings.solo && humanOnlineCount(room) + room.bots.size < 2) {
     io.to(socket.id).emit("game:error", {
       message: "Problème de création du Lobby, Demande à Kiddy",
     });
     return;
   }
-  // Initialiser la partie : remettre le niveau et les lettres punies à zéro
+  // Initialiser le match : scores, rounds, niveau et lettres punies à zéro
   room.gameActive = true;
+  room.round = 0;
+  room.players.forEach((p) => {
+    p.score = 0;
+    // Pas de jokers en solo, pour que les records restent comparables
+    p.jokers = createJokerInventory(room.settings.solo ? 0 : room.settings.jokers);
+  });
   room.level = 0;
   room.punishedLetters = [];
+  room.letterRuleType = "forbid";
+  room.constraint = null;
+  room.tiebreak = null;
+  room.daily = null;
+  if (room.settings.daily) {
+    // Réglages par défaut pour la durée de la partie, les mêmes pour tous ;
+    // ceux de l'host sont rétablis par finishMatch()
+    room.lobbySettings = room.settings;
+    room.settings = { ...createDefaultSettings(), themes: room.settings.themes, solo: true, daily: true };
+    const player = soloPlayer(room);
+    const date = dailyDate();
+    room.daily = { date, ranked: startDailyAttempt(date, player.identity, player.name) };
+    io.to(code).emit("daily:start", room.daily);
+  }
+  io.to(code).emit("lobby:update", serializeRoom(room));
   startNewRound(code, room, io);
 }
 
+/**
+ * L'host démarre une partie. Vérifie qu'il y a au moins deux joueurs en
+ * ligne, puis lance le premier round. Si ce n'est pas le cas, renvoie
+ * une erreur uniquement à l'host.
+ */
+function handleGameStart(socket, io) {
+  const code = socket.data.room;
+  const room = rooms.get(code);
+  if (!room || !room.players.has(socket.data.playerId)) return;
+  if (socket.data.playerId !== room.hostId) return;
+  launchGame(socket, code, room, io);
+}
+
 /**
  * L'host demande un retour au menu sans relancer de partie. On ne fait
  * qu'informer les clients de l'évènement, ils restent dans le lobby.
  */
 function handleGameMenu(socket, io) {
   const code = socket.data.room;
-  const room = getRoom(code);
-  if (!room) return;
-  if (socket.id !== room.hostId) return;
+  const room = rooms.get(code);
+  if (!room || !room.players.has(socket.data.playerId)) return;
+  if (socket.data.playerId !== room.hostId) return;
   io.to(code).emit("game:menu");
   touchRoom(room);
 }
@@ -104,35 +296,102 @@ function handleGameMenu(socket, io) {
  */
 function handleGameRestart(socket, io) {
   const code = socket.data.room;
-  const room = getRoom(code);
-  if (!room) return;
-  if (socket.id !== room.hostId) return;
-  // Empêcher le relancement si une partie est en cours. Si trop peu
-  // d'humains en ligne, on insère un bot comme pour game:start.
+  const room = rooms.get(code);
+  if (!room || !room.players.has(socket.data.playerId)) return;
+  if (socket.data.playerId !== room.hostId) return;
+  launchGame(socket, code, room, io);
+}
+
+/**
+ * L'host modifie les réglages de la room depuis le lobby. Les valeurs
+ * sont validées et bornées côté serveur (voir sanitizeSettings()) puis
+ * diffusées à tous via lobby:update. Les réglages ne peuvent pas changer
+ * pendant une partie. L'acknowledgement renvoie les réglages appliqués.
+ */
+function handleRoomSettings(socket, patch, ack, io) {
+  const code = socket.data.room;
+  const room = rooms.get(code);
+  const reply = typeof ack === "function" ? ack : () => {};
+  if (!room || !room.players.has(socket.data.playerId)) return;
+  if (socket.data.playerId !== room.hostId) {
+    reply({ ok: false, error: "Seul l'host peut modifier les règles." });
+    return;
+  }
   if (room.gameActive) {
-    io.to(socket.id).emit("game:error", {
-      message: "Problème de création du Lobby, Demande à Kiddy",
-    });
+    reply({ ok: false, error: "Impossible de modifier les règles pendant une partie." });
     return;
   }
-  // Compter les joueurs humains en ligne
-  let humanCount = 0;
-  room.players.forEach((p, id) => {
-    if (id !== room.botId && p.online) humanCount++;
-  });
-  if (humanCount < 2) {
-    addBot(room);
+  room.settings = sanitizeSettings(room.settings, patch, availableThemes(room));
+  io.to(code).emit("lobby:update", serializeRoom(room));
+  reply({ ok: true, settings: room.settings });
+  touchRoom(room);
+}
+
+/**
+ * L'host d'une room privée ajoute (ou retire) une liste de mots
+ * personnalisée. Le client envoie { theme, text } où text est le contenu
+ * collé ou lu depuis un fichier .txt, ou { theme, remove: true }. Le texte
+ * est analysé comme les fichiers de data/ (voir parseWordList()) et les
+ * limites de CUSTOM_LIST_LIMITS sont appliquées. Le nouveau thème est
+ * aussitôt activé dans les réglages de la room.
+ */
+function handleWordList(socket, { theme, text, remove } = {}, ack, io) {
+  const code = socket.data.room;
+  const room = rooms.get(code);
+  const reply = typeof ack === "function" ? ack : () => {};
+  if (!room || !room.players.has(socket.data.playerId)) return;
+  const fail = (error) => reply({ ok: false, error });
+  if (socket.data.playerId !== room.hostId) return fail("Seul l'host peut ajouter une liste.");
+  if (code === "public") return fail("Les listes personnalisées sont réservées aux rooms privées.");
+  if (room.gameActive) return fail("Impossible de modifier les listes pendant une partie.");
+  const L = CUSTOM_LIST_LIMITS;
+  const name = String(theme || "").trim().slice(0, L.maxThemeLength);
+  if (!normalizeKey(name)) return fail("Donne un nom au thème.");
+  if (remove) {
+    room.customLists.delete(name);
+    room.settings.themes = room.settings.themes.filter((t) => t !== name);
+    if (room.settings.themes.length === 0) room.settings.themes = [...THEMES];
+  } else {
+    if (THEMES.some((t) => normalizeKey(t) === normalizeKey(name))) {
+      return fail("Ce thème existe déjà.");
+    }
+    if (!room.customLists.has(name) && room.customLists.size >= L.maxLists) {
+      return fail(`${L.maxLists} listes maximum par room.`);
+    }
+    if (typeof text !== "string" || text.length > L.maxChars) {
+      return fail("Liste trop volumineuse.");
+    }
+    const words = parseWordList(text);
+    if (words.size < L.minWords) return fail(`Il faut au moins ${L.minWords} mots.`);
+    if (words.size > L.maxWords) return fail(`${L.maxWords} mots maximum par liste.`);
+    room.customLists.set(name, words);
+    if (!room.settings.themes.includes(name)) room.settings.themes.push(name);
   }
-  if (onlineCount(room) < 2) {
-    io.to(socket.id).emit("game:error", {
-      message: "Problème de création du Lobby, Demande à Kiddy",
-    });
-    return;
+  io.to(code).emit("lobby:update", serializeRoom(room));
+  reply({ ok: true, theme: name, size: room.customLists.get(name)?.size || 0 });
+  touchRoom(room);
+}
+
+/**
+ * Vote pour le thème du prochain round pendant la phase de draft. Chaque
+ * joueur en ligne peut voter pour l'un des thèmes proposés et changer
+ * d'avis tant que le vote est ouvert. Le décompte est diffusé à tous via
+ * theme:votes ; le vote se clôt dès que tous les humains ont voté.
+ */
+function handleThemeVote(socket, { theme } = {}, io) {
+  const code = socket.data.room;
+  const room = rooms.get(code);
+  if (!room || !room.themeDraft) return;
+  const p = room.players.get(socket.data.playerId);
+  if (!p || !p.online || p.role === "spectator") return;
+  const draft = room.themeDraft;
+  if (!draft.options.includes(theme)) return;
+  draft.votes.set(socket.data.playerId, theme);
+  io.to(code).emit("theme:votes", { counts: countThemeVotes(draft) });
+  touchRoom(room);
+  if (draft.votes.size >= humanOnlineCount(room)) {
+    finalizeThemeDraft(code, room, io);
   }
-  room.gameActive = true;
-  room.level = 0;
-  room.punishedLetters = [];
-  startNewRound(code, room, io);
 }
 
 /**
@@ -144,31 +403,50 @@ function handleGameRestart(socket, io) {
  */
 function handleTurnSubmit(socket, word, io) {
   const code = socket.data.room;
-  const room = getRoom(code);
+  const room = rooms.get(code);
   if (!room || !room.accepting) return;
-  const p = room.players.get(socket.id);
+  const p = room.players.get(socket.data.playerId);
   if (!p || !p.alive) return;
   const normalized = normalizeWord(word);
   if (!normalized) return;
+  // Fenêtre glissante par socket, comme pour le chat
+  const now = Date.now();
+  const recent = (socket.data.submitTimes || []).filter((t) => now - t < SUBMIT_CONFIG.rateWindowMs);
+  socket.data.submitTimes = recent;
+  if (recent.length >= SUBMIT_CONFIG.rateMax) {
+    io.to(socket.id).emit("turn:error", { message: "Doucement ! Trop de tentatives." });
+    return;
+  }
+  recent.push(now);
+  // Le tour peut rester ouvert plus longtemps à cause du joker +3 s d'un
+  // autre joueur : chacun reste limité à sa propre échéance
+  const extraMs = room.turnJokers.extraMs.get(socket.data.playerId) || 0;
+  if (clock.now() > room.turnStartedAt + room.currentTurnDuration + extraMs) {
+    io.to(socket.id).emit("turn:error", { message: "Temps écoulé !" });
+    return;
+  }
   // Vérifier si le mot a déjà été utilisé, s'il n'est pas dans la banque
-  // ou s'il contient une lettre punie. Tous ces cas renvoient la même
-  // erreur afin de ne pas donner d'indice.
+  // ou s'il enfreint la règle de lettres (lettre bannie présente ou lettre
+  // obligatoire absente) ou la contrainte du tour (première lettre,
+  // longueur). Tous ces cas renvoient la même erreur afin de ne pas donner
+  // d'indice.
   const alreadyUsed = room.usedWords.has(normalized);
   const notInBank = room.wordSet.size > 0 && !room.wordSet.has(normalized);
-  const hasPunished = room.punishedLetters.some((letter) => normalized.includes(letter));
-  if (alreadyUsed || notInBank || hasPunished) {
+  const breaksLetters = !respectsLetterRule(normalized, room.punishedLetters, room.letterRuleType);
+  const breaksConstraint = !respectsConstraint(normalized, room.constraint);
+  if (alreadyUsed || notInBank || breaksLetters || breaksConstraint) {
     io.to(socket.id).emit("turn:error", { message: "Mot invalide! Relis les règles!" });
     return;
   }
-  if (!room.submissions.has(socket.id)) {
-    room.submissions.set(socket.id, normalized);
+  if (!room.submissions.has(socket.data.playerId)) {
+    room.submissions.set(socket.data.playerId, normalized);
     // Enregistrer le timestamp de soumission pour calculer la vitesse de
     // réponse. Si turnStartedAt n'est pas défini (cas improbable), on
-    // stocke Date.now() quand même.
+    // stocke l'heure courante quand même.
     if (!room.submissionTimes) {
       room.submissionTimes = new Map();
     }
-    room.submissionTimes.set(socket.id, Date.now());
+    room.submissionTimes.set(socket.data.playerId, clock.now());
     io.to(socket.id).emit("turn:ack", { lockedWord: normalized });
     io.to(code).emit("turn:progress", { submitted: room.submissions.size });
     touchRoom(room);
@@ -180,80 +458,282 @@ function handleTurnSubmit(socket, word, io) {
  * une fois contre un mot qu'il estime hors‑sujet. Lorsqu'une majorité
  * est atteinte, le joueur ciblé est éliminé immédiatement. Les votes
  * sont enregistrés pendant une période définie dans endTurn() et
- * finalisés par finalizeVote(). Ce handler permet aussi l'élimination
- * précoce (dès qu'un seuil est franchi) pour accélérer la décision.
+ * finalisés par finalizeVote(). Le vote est enregistré par castVote(),
+ * comme ceux des bots, ce qui permet aussi l'élimination précoce (dès
+ * qu'un seuil est franchi) pour accélérer la décision.
  */
 function handleTurnVote(socket, { target }, io) {
   const code = socket.data.room;
-  const room = getRoom(code);
-  if (!room || !room.votingActive) return;
-  const voter = room.players.get(socket.id);
-  const targetPlayer = room.players.get(target);
-  // Vérifier que le vote est valide
-  if (!voter || !voter.alive) return;          // votant doit être vivant
-  if (!targetPlayer || !targetPlayer.alive) return; // cible doit être vivante
-  if (target === socket.id) return;            // on ne vote pas contre soi
-  // Vérifier que le mot appartient à la soumission courante
-  if (!room.submissions.has(target)) return;
-  // Enregistrer le vote si non déjà enregistré
-  if (!room.votes.has(target)) {
-    room.votes.set(target, new Set());
-  }
-  const votersSet = room.votes.get(target);
-  if (votersSet.has(socket.id)) return; // déjà voté
-  votersSet.add(socket.id);
-  // Vérifier si le seuil est atteint pour élimination précoce
-  const alive = aliveIds(room);
-  const effectiveVoters = alive.filter((sid) => sid !== target);
-  const effCount = effectiveVoters.length;
-  const effThreshold = Math.floor(effCount / 2) + 1;
-  if (votersSet.size >= effThreshold) {
-    // Éliminer immédiatement
-    const p = room.players.get(target);
-    if (p) p.alive = false;
-    const word = room.submissions.get(target);
-    if (word) room.usedWords.delete(word);
-    io.to(code).emit('vote:eliminated', { ids: [target] });
-    // Mettre à jour l'état du lobby
-    io.to(code).emit('lobby:update', serializeRoom(room));
+  const room = rooms.get(code);
+  if (!room || !room.players.has(socket.data.playerId)) return;
+  castVote(code, room, socket.data.playerId, target, io);
+}
+
+/**
+ * Joue un joker ({ type }) pendant le tour ou le vote. La validation et
+ * l'effet sont gérés par useJoker() ; l'ack renvoie le résultat privé
+ * (nouveau timer, mot révélé) ou l'erreur.
+ */
+function handleTurnJoker(socket, { type } = {}, ack, io) {
+  const reply = typeof ack === "function" ? ack : () => {};
+  const code = socket.data.room;
+  const room = rooms.get(code);
+  if (!room || !room.gameActive) {
+    reply({ ok: false, error: "Aucune partie en cours." });
+    return;
+  }
+  reply(useJoker(code, room, socket.data.playerId, type, io));
+}
+
+/**
+ * Vérifie qu'une action de modération vient de l'host et vise un autre
+ * membre de la room. Renvoie la room, le code et la cible, ou null.
+ *
+ * @param {Object} socket Le socket de l'host
+ * @param {string} target Identifiant du joueur visé
+ * @returns {{code: string, room: Object, target: Object}|null}
+ */
+function moderationContext(socket, target) {
+  const code = socket.data.room;
+  const room = rooms.get(code);
+  if (!room || socket.data.playerId !== room.hostId) return null;
+  if (target === room.hostId) return null;
+  const p = room.players.get(target);
+  if (!p) return null;
+  return { code, room, target: p };
+}
+
+/**
+ * Retire un joueur de la room à la demande de l'host. Le client exclu
+ * reçoit room:kicked puis quitte la room ; les autres voient le lobby mis
+ * à jour et un message dans le journal.
+ *
+ * @param {string} code Le code de la room
+ * @param {Object} room L'état de la room
+ * @param {string} targetId Le joueur à retirer
+ * @param {string} reason « kick » ou « ban »
+ * @param {Object} io L'instance Socket.IO
+ */
+function expelPlayer(code, room, targetId, reason, io) {
+  const p = removePlayer(room, targetId);
+  if (!p) return;
+  const targetSocket = p.socketId ? io.sockets.sockets.get(p.socketId) : null;
+  if (targetSocket) {
+    targetSocket.emit("room:kicked", { reason });
+    targetSocket.leave(code);
+    targetSocket.leave(externalBotChannel(code));
+    delete targetSocket.data.room;
+    delete targetSocket.data.playerId;
   }
+  const verb = reason === "ban" ? "a été banni" : "a été exclu";
+  io.to(code).emit("log:message", { message: `"${p.name}" ${verb} par l'host` });
+  settleVotes(code, room, io);
+  io.to(code).emit("lobby:update", serializeRoom(room));
   touchRoom(room);
 }
 
 /**
- * Gestion de la déconnexion. On marque le joueur offline et l'élimine
- * immédiatement si une partie est en cours. Si l'host quitte, on
- * réattribue l'host au prochain joueur en ligne. Si plus aucun joueur
- * n'est en ligne, on supprime la room.
+ * L'host exclut un joueur. Celui-ci peut revenir avec un nouveau
+ * player:join (sauf si la room est verrouillée).
  */
-function handleDisconnect(socket, io) {
+function handleHostKick(socket, { target } = {}, io) {
+  const ctx = moderationContext(socket, target);
+  if (!ctx) return;
+  expelPlayer(ctx.code, ctx.room, target, "kick", io);
+}
+
+/**
+ * L'host bannit un joueur pour toute la durée de vie de la room : son
+ * jeton de session et son adresse IP sont refusés à l'avenir.
+ */
+function handleHostBan(socket, { target } = {}, io) {
+  const ctx = moderationContext(socket, target);
+  if (!ctx) return;
+  if (ctx.target.token) ctx.room.bans.tokens.add(ctx.target.token);
+  if (ctx.target.ip) ctx.room.bans.ips.add(ctx.target.ip);
+  expelPlayer(ctx.code, ctx.room, target, "ban", io);
+}
+
+/**
+ * L'host transfère son rôle à un autre joueur humain en ligne.
+ */
+function handleHostTransfer(socket, { target } = {}, io) {
+  const ctx = moderationContext(socket, target);
+  if (!ctx || ctx.room.bots.has(target) || !ctx.target.online) return;
+  ctx.room.hostId = target;
+  io.to(ctx.code).emit("log:message", { message: `"${ctx.target.name}" est maintenant l'host` });
+  io.to(ctx.code).emit("lobby:update", serializeRoom(ctx.room));
+  touchRoom(ctx.room);
+}
+
+/**
+ * L'host ajoute un bot depuis le lobby ({ level }, le réglage botLevel de
+ * la room par défaut), dans la limite de BOT_CONFIG.maxBots. Les bots
+ * ajoutés ainsi restent dans la room jusqu'à ce que l'host les retire.
+ */
+function handleBotAdd(socket, { level } = {}, ack, io) {
   const code = socket.data.room;
-  const room = getRoom(code);
+  const room = rooms.get(code);
+  const reply = typeof ack === "function" ? ack : () => {};
   if (!room) return;
-  const wasHost = socket.id === room.hostId;
-  const p = room.players.get(socket.id);
-  if (p) {
-    p.online = false;
-    p.alive = false;
+  if (socket.data.playerId !== room.hostId) {
+    reply({ ok: false, error: "Seul l'host peut ajouter des bots." });
+    return;
+  }
+  if (room.gameActive) {
+    reply({ ok: false, error: "Impossible d'ajouter un bot pendant une partie." });
+    return;
+  }
+  const botId = addBot(room, level);
+  if (!botId) {
+    reply({ ok: false, error: `${BOT_CONFIG.maxBots} bots au maximum.` });
+    return;
+  }
+  io.to(code).emit("log:message", { message: `🤖 "${room.players.get(botId).name}" rejoint la room` });
+  io.to(code).emit("lobby:update", serializeRoom(room));
+  reply({ ok: true, id: botId });
+  touchRoom(room);
+}
+
+/**
+ * L'host retire un bot de la room ({ target }). Comme pour une exclusion,
+ * c'est possible en cours de partie.
+ */
+function handleBotRemove(socket, { target } = {}, io) {
+  const code = socket.data.room;
+  const room = rooms.get(code);
+  if (!room || socket.data.playerId !== room.hostId) return;
+  const bot = room.players.get(target);
+  if (!removeBot(room, target)) return;
+  io.to(code).emit("log:message", { message: `🤖 "${bot.name}" quitte la room` });
+  settleVotes(code, room, io);
+  io.to(code).emit("lobby:update", serializeRoom(room));
+  touchRoom(room);
+}
+
+/**
+ * L'host verrouille ou déverrouille la room ({ locked: boolean }). Une
+ * room verrouillée refuse les nouveaux joueurs.
+ */
+function handleRoomLock(socket, { locked } = {}, io) {
+  const code = socket.data.room;
+  const room = rooms.get(code);
+  if (!room || socket.data.playerId !== room.hostId) return;
+  room.locked = !!locked;
+  io.to(code).emit("lobby:update", serializeRoom(room));
+  touchRoom(room);
+}
+
+/**
+ * L'host coupe ou rétablit la parole d'un joueur dans le chat
+ * ({ target, muted: boolean }).
+ */
+function handleHostMute(socket, { target, muted } = {}, io) {
+  const ctx = moderationContext(socket, target);
+  if (!ctx) return;
+  if (muted) ctx.room.muted.add(target);
+  else ctx.room.muted.delete(target);
+  io.to(ctx.code).emit("lobby:update", serializeRoom(ctx.room));
+  touchRoom(ctx.room);
+}
+
+/**
+ * Message de chat ({ text }). Le texte est tronqué, échappé côté serveur
+ * puis diffusé à la room via chat:message { playerId, name, text, at } :
+ * les clients l'affichent tel quel. Refusé (ack { ok: false, error }) si
+ * le joueur est muet, s'il dépasse CHAT_CONFIG.rateMax messages par
+ * fenêtre ou si le chat est coupé pendant le tour en cours.
+ */
+function handleChatSend(socket, { text } = {}, ack, io) {
+  const reply = typeof ack === "function" ? ack : () => {};
+  const code = socket.data.room;
+  const room = rooms.get(code);
+  const playerId = socket.data.playerId;
+  const p = room?.players.get(playerId);
+  if (!p) return;
+  const clean = String(text || "").trim().slice(0, CHAT_CONFIG.maxLength);
+  if (!clean) return;
+  if (room.muted.has(playerId)) {
+    reply({ ok: false, error: "L'host t'a retiré la parole." });
+    return;
+  }
+  if (room.accepting && !room.settings.chatDuringTurn) {
+    reply({ ok: false, error: "Chat désactivé pendant le tour." });
+    return;
+  }
+  // Fenêtre glissante par socket : on ne garde que les envois récents
+  const now = Date.now();
+  const recent = (socket.data.chatTimes || []).filter((t) => now - t < CHAT_CONFIG.rateWindowMs);
+  if (recent.length >= CHAT_CONFIG.rateMax) {
+    socket.data.chatTimes = recent;
+    reply({ ok: false, error: "Doucement ! Trop de messages." });
+    return;
   }
-  if (wasHost) {
+  recent.push(now);
+  socket.data.chatTimes = recent;
+  io.to(code).emit("chat:message", {
+    playerId,
+    name: escapeHtml(p.name),
+    text: escapeHtml(clean),
+    at: now,
+  });
+  reply({ ok: true });
+  touchRoom(room);
+}
+
+/**
+ * Gestion de la déconnexion. On marque le joueur offline sans l'éliminer :
+ * il dispose de CONFIG.RECONNECT_GRACE_MS pour revenir avec player:resume.
+ * Pendant ce délai il reste vivant (il sera éliminé s'il ne joue pas son
+ * tour) et la room n'est pas fermée. À l'expiration, expireReconnect()
+ * applique le départ définitif.
+ */
+function handleDisconnect(socket, io) {
+  const code = socket.data.room;
+  const room = rooms.get(code);
+  if (!room) return;
+  const playerId = socket.data.playerId;
+  const p = room.players.get(playerId);
+  // Le joueur a pu être repris entre-temps par une autre connexion
+  if (!p || p.socketId !== socket.id) return;
+  p.online = false;
+  p.disconnectedAt = Date.now();
+  room.reconnectTimers.set(
+    playerId,
+    setTimeout(() => expireReconnect(code, playerId, io), CONFIG.RECONNECT_GRACE_MS)
+  );
+  io.to(code).emit("lobby:update", serializeRoom(room));
+}
+
+/**
+ * Fin du délai de grâce d'un joueur déconnecté. S'il n'est pas revenu, on
+ * l'élimine. Si c'était l'host, on réattribue l'host au prochain joueur
+ * en ligne. Si plus aucun joueur n'est en ligne ni attendu, on supprime
+ * la room.
+ *
+ * @param {string} code Le code de la room
+ * @param {string} playerId Le joueur déconnecté
+ * @param {Object} io L'instance Socket.IO
+ */
+function expireReconnect(code, playerId, io) {
+  const room = rooms.get(code);
+  if (!room) return;
+  room.reconnectTimers.delete(playerId);
+  const p = room.players.get(playerId);
+  if (!p || p.online) return;
+  p.alive = false;
+  if (playerId === room.hostId) {
     // Choisir un nouvel host parmi les joueurs en ligne
-    room.hostId = [...room.players.keys()].find((id) => room.players.get(id)?.online) || null;
+    room.hostId = [...room.players.keys()].find((id) => !room.bots.has(id) && room.players.get(id)?.online) || null;
   }
   // Si la partie est en cours et qu'il ne reste qu'un seul joueur humain
-  // en ligne, ajouter un bot pour permettre de continuer en solo. On
-  // compte les joueurs online en excluant le bot si présent.
-  if (room.gameActive) {
-    let humanOnline = 0;
-    room.players.forEach((pl, id) => {
-      if (id !== room.botId && pl.online) humanOnline++;
-    });
-    if (humanOnline < 2) {
-      addBot(room);
-    }
+  // en ligne, ajouter un bot pour permettre de continuer en solo.
+  if (room.gameActive && humanOnlineCount(room) + room.bots.size < 2) {
+    addBot(room, room.settings.botLevel, true);
   }
-  // Si plus aucun joueur online, fermer la room
-  if (onlineCount(room) === 0) {
+  // Si plus aucun humain (joueur ou spectateur) online ni attendu, fermer la room
+  const humanOnline = [...room.players].some(([id, pl]) => !room.bots.has(id) && pl.online);
+  if (!humanOnline && room.reconnectTimers.size === 0) {
     killRoom(code, "empty", io);
   } else {
     io.to(code).emit("lobby:update", serializeRoom(room));
@@ -262,10 +742,25 @@ function handleDisconnect(socket, io) {
 
 module.exports = {
   handlePlayerJoin,
+  handleBotJoin,
+  handlePlayerResume,
   handleGameStart,
   handleGameMenu,
   handleGameRestart,
+  handleRoomSettings,
+  handleWordList,
+  handleThemeVote,
   handleTurnSubmit,
   handleTurnVote,
+  handleTurnJoker,
+  handleHostKick,
+  handleHostBan,
+  handleHostTransfer,
+  handleRoomLock,
+  handleBotAdd,
+  handleBotRemove,
+  handleHostMute,
+  handleChatSend,
+  handleSoloBests,
   handleDisconnect,
 };
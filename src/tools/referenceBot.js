@@ -0,0 +1,132 @@
+/**
+ * Bot externe de référence
+ *
+ * Exemple de joueur automatique lancé dans un processus séparé : il se
+ * connecte au serveur avec socket.io-client, rejoint une room via bot:join
+ * et joue à partir des évènements structurés bot:turn / bot:turnEnd. Il
+ * lit les banques de mots de data/ pour choisir ses mots, au hasard parmi
+ * ceux qui respectent les lettres et la contrainte du tour.
+ *
+ * Variables d'environnement :
+ * - BOT_TOKEN : l'un des jetons de BOT_TOKENS côté serveur (obligatoire) ;
+ * - SERVER_URL : adresse du serveur (http://localhost:3000 par défaut) ;
+ * - ROOM : code de la room (« public » par défaut) ;
+ * - BOT_NAME : nom affiché (« RefBot » par défaut) ;
+ * - AUTO_START : si « 1 » et que le bot est host, il lance la partie dès
+ *   que deux joueurs sont présents.
+ *
+ * Usage : BOT_TOKEN=secret npm run bot
+ */
+const { io } = require("socket.io-client");
+const { loadWordSetForTheme } = require("../data/wordBank");
+const { respectsLetterRule, respectsConstraint } = require("../utils/wordUtils");
+
+const SERVER_URL = process.env.SERVER_URL || "http://localhost:3000";
+const ROOM = process.env.ROOM || "public";
+const NAME = process.env.BOT_NAME || "RefBot";
+const TOKEN = process.env.BOT_TOKEN;
+const AUTO_START = process.env.AUTO_START === "1";
+
+// Nombre de mots essayés par tour si le serveur en refuse (turn:error)
+const MAX_ATTEMPTS = 3;
+
+if (!TOKEN) {
+  console.error("BOT_TOKEN manquant.");
+  process.exit(1);
+}
+
+const socket = io(SERVER_URL, { transports: ["websocket"] });
+// Session obtenue à bot:join, réutilisée par player:resume après une coupure
+let session = null;
+let playerId = null;
+let startRequested = false;
+// Tour en cours : mots candidats restants et soumission planifiée
+let current = null;
+
+/**
+ * Mots jouables pour un tour : banque du thème privée des mots déjà
+ * utilisés, filtrée par la règle de lettres et la contrainte, puis mélangée.
+ *
+ * @param {Object} turn Les données de bot:turn
+ * @returns {Promise<string[]>} Les candidats, dans l'ordre d'essai
+ */
+async function candidatesFor(turn) {
+  const words = await loadWordSetForTheme(turn.theme);
+  const used = new Set(turn.usedWords);
+  const list = [...words].filter((w) => !used.has(w)
+    && respectsLetterRule(w, turn.letters.letters, turn.letters.rule)
+    && respectsConstraint(w, turn.constraint));
+  for (let i = list.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [list[i], list[j]] = [list[j], list[i]];
+  }
+  return list;
+}
+
+/**
+ * Envoie le prochain candidat du tour en cours, s'il en reste.
+ */
+function submitNext() {
+  if (!current || current.attempts >= MAX_ATTEMPTS) return;
+  const word = current.words.shift();
+  if (!word) return;
+  current.attempts += 1;
+  socket.emit("turn:submit", word);
+}
+
+socket.on("connect", () => {
+  if (session) {
+    socket.emit("player:resume", session, (res) => {
+      if (!res?.ok) console.log(`Reprise impossible : ${res?.error}`);
+    });
+    return;
+  }
+  socket.emit("bot:join", { code: ROOM, name: NAME, token: TOKEN }, (res) => {
+    if (!res?.ok) {
+      console.error(`Connexion refusée : ${res?.error}`);
+      process.exit(1);
+    }
+    session = { code: ROOM, token: res.token };
+    playerId = res.playerId;
+    console.log(`Connecté à la room ${ROOM} (${res.playerId})`);
+  });
+});
+
+socket.on("lobby:update", (data) => {
+  const players = data.players.filter((p) => p.online && p.role !== "spectator");
+  if (AUTO_START && data.hostId === playerId && !data.gameActive && !startRequested && players.length >= 2) {
+    startRequested = true;
+    socket.emit("game:start");
+  }
+});
+
+socket.on("bot:turn", async (turn) => {
+  current = null;
+  const me = turn.players.find((p) => p.id === playerId);
+  if (!me || !me.alive) return;
+  const words = await candidatesFor(turn);
+  current = { turn: turn.turn, words, attempts: 0 };
+  // Répondre vers le milieu du tour, sans dépasser l'échéance
+  const delay = Math.min(turn.turnMs * (0.3 + Math.random() * 0.3), turn.deadline - Date.now() - 300);
+  setTimeout(submitNext, Math.max(0, delay));
+});
+
+// Mot refusé (déjà joué entre-temps, débit trop élevé…) : essayer le suivant
+socket.on("turn:error", () => setTimeout(submitNext, 600));
+socket.on("turn:ack", () => {
+  current = null;
+});
+
+socket.on("bot:turnEnd", ({ turn, results }) => {
+  const summary = results.map((r) => `${r.word || "-"}:${r.status}`).join(" ");
+  console.log(`Tour ${turn} : ${summary}`);
+});
+
+socket.on("game:end", ({ winner, winners }) => {
+  const names = (winners || (winner ? [winner] : [])).map((w) => w.name).join(", ");
+  console.log(`Fin de partie${names ? ` : ${names}` : ""}`);
+  startRequested = false;
+});
+
+socket.on("room:closed", () => process.exit(0));
+socket.on("room:kicked", () => process.exit(0));
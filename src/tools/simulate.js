@@ -0,0 +1,345 @@
+/**
+ * Simulateur de parties
+ *
+ * Joue des parties complètes entre bots, en mémoire et sans socket, pour
+ * régler les courbes de timers (TIMER_CONFIG.levelRanges) et le calendrier
+ * des lettres. La logique de jeu est celle du serveur : startNewRound()
+ * lance la partie et les timers qu'elle planifie (tirage du thème,
+ * startNextTurn, endTurn, finalizeVote…) sont exécutés par une horloge
+ * virtuelle (voir utils/clock.js), sans attendre. Les évènements sont
+ * reçus par un faux `io` qui alimente les statistiques.
+ *
+ * Rapport : durée des parties (tours et minutes de jeu), niveau atteint
+ * par round, fautes et éliminations par raison, et épuisement de la
+ * banque de mots par thème (tours où il reste moins de mots jouables que
+ * de joueurs en vie).
+ *
+ * Options :
+ *   --games N      nombre de parties (200 par défaut)
+ *   --bots N       bots par partie (4 par défaut, BOT_CONFIG.maxBots au plus)
+ *   --level L      easy, normal, hard ou mixed (mixed par défaut)
+ *   --humans N     bots imitant des humains, qui ne voient pas les mots
+ *                  déjà soumis et peuvent faire des chips (la moitié par
+ *                  défaut, voir pickBotWord())
+ *   --themes A,B   thèmes tirés (tous par défaut)
+ *   --rounds N     rounds par match (réglage matchRounds)
+ *   --lives N      vies par round (réglage lives)
+ *   --json         rapport au format JSON
+ *
+ * Usage : npm run simulate -- --games 1000 --level hard
+ */
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+// Les mots validés pendant la simulation ne doivent pas se mêler aux
+// statistiques réelles : elles sont écrites dans un dossier temporaire
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "chips-sim-"));
+process.env.WORD_STATS_FILE = path.join(tmpDir, "word_stats.json");
+
+const { setClock } = require("../utils/clock");
+const { letterMask, wordPool, respectsConstraint } = require("../utils/wordUtils");
+const { THEMES, createDefaultSettings, sanitizeSettings } = require("../config/settings");
+const { BOT_CONFIG, addBot } = require("../config/bot");
+const { createJokerInventory } = require("../config/jokers");
+const { getRoom, killRoom, aliveIds } = require("../game/roomManager");
+const { startNewRound } = require("../game/gameLogic");
+
+const LEVELS = Object.keys(BOT_CONFIG.presets);
+
+/**
+ * Lit les options de la ligne de commande.
+ *
+ * @param {string[]} argv Arguments (sans node ni le script)
+ * @returns {Object} Options
+ */
+function parseArgs(argv) {
+  const options = { games: 200, bots: 4, humans: null, level: "mixed", themes: THEMES, rounds: null, lives: null, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => argv[++i];
+    if (arg === "--games") options.games = Math.max(1, parseInt(value(), 10) || options.games);
+    else if (arg === "--bots") options.bots = Math.min(BOT_CONFIG.maxBots, Math.max(2, parseInt(value(), 10) || options.bots));
+    else if (arg === "--humans") options.humans = Math.max(0, parseInt(value(), 10) || 0);
+    else if (arg === "--level") options.level = value();
+    else if (arg === "--themes") options.themes = value().split(",").map((t) => t.trim()).filter(Boolean);
+    else if (arg === "--rounds") options.rounds = parseInt(value(), 10);
+    else if (arg === "--lives") options.lives = parseInt(value(), 10);
+    else if (arg === "--json") options.json = true;
+    else throw new Error(`Option inconnue : ${arg}`);
+  }
+  if (options.level !== "mixed" && !LEVELS.includes(options.level)) {
+    throw new Error(`Niveau inconnu : ${options.level} (${LEVELS.join(", ")} ou mixed)`);
+  }
+  const unknown = options.themes.filter((t) => !THEMES.includes(t));
+  if (unknown.length > 0) {
+    throw new Error(`Thème inconnu : ${unknown.join(", ")} (${THEMES.join(", ")})`);
+  }
+  options.humans = Math.min(options.bots, options.humans ?? Math.ceil(options.bots / 2));
+  return options;
+}
+
+/**
+ * Horloge virtuelle : les timers sont rangés par échéance et exécutés un
+ * par un par runNext(), qui avance l'heure jusqu'à l'échéance.
+ */
+function createVirtualClock() {
+  let now = 0;
+  let seq = 0;
+  let timers = [];
+  return {
+    now: () => now,
+    setTimeout(fn, ms) {
+      const timer = { at: now + Math.max(0, ms || 0), seq: seq++, fn };
+      timers.push(timer);
+      return timer;
+    },
+    clearTimeout(timer) {
+      if (timer) timers = timers.filter((t) => t !== timer);
+    },
+    runNext() {
+      if (timers.length === 0) return false;
+      let next = timers[0];
+      for (const t of timers) if (t.at < next.at || (t.at === next.at && t.seq < next.seq)) next = t;
+      timers = timers.filter((t) => t !== next);
+      now = next.at;
+      next.fn();
+      return true;
+    },
+    reset() {
+      timers = [];
+    },
+  };
+}
+
+/**
+ * Faux serveur Socket.IO : tout évènement émis vers la room est transmis
+ * à `onEvent(event, data)`.
+ *
+ * @param {Function} onEvent Récepteur des évènements
+ * @returns {Object} Un objet compatible avec io.to(code).emit()
+ */
+function createFakeIo(onEvent) {
+  const target = { emit: (event, data) => onEvent(event, data) };
+  return { to: () => target };
+}
+
+/**
+ * Nombre de mots encore jouables dans le tour qui commence.
+ *
+ * @param {Object} room L'état de la room
+ * @returns {number} Taille du vivier
+ */
+function playablePool(room) {
+  const { words, masks } = wordPool(room.wordSet);
+  const lettersMask = letterMask(room.punishedLetters.join(""));
+  const required = room.letterRuleType === "require";
+  let n = 0;
+  for (let i = 0; i < words.length; i++) {
+    const hits = masks[i] & lettersMask;
+    if (required ? hits !== lettersMask : hits !== 0) continue;
+    if (room.usedWords.has(words[i])) continue;
+    if (respectsConstraint(words[i], room.constraint)) n++;
+  }
+  return n;
+}
+
+// Laisse s'exécuter les promesses et entrées-sorties en attente
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+/**
+ * Joue une partie complète et enrichit les statistiques.
+ *
+ * @param {number} index Numéro de la partie
+ * @param {Object} options Options de la simulation
+ * @param {Object} clock Horloge virtuelle
+ * @param {Object} stats Statistiques cumulées
+ */
+async function playGame(index, options, clock, stats) {
+  const code = `sim-${index}`;
+  const room = getRoom(code);
+  const patch = { themes: options.themes };
+  if (options.rounds) patch.matchRounds = options.rounds;
+  if (options.lives) patch.lives = options.lives;
+  room.settings = sanitizeSettings(createDefaultSettings(), patch, THEMES);
+  for (let i = 0; i < options.bots; i++) {
+    const botId = addBot(room, options.level === "mixed" ? LEVELS[i % LEVELS.length] : options.level);
+    room.bots.get(botId).human = i < options.humans;
+  }
+  // Même initialisation qu'au lancement d'une partie (voir launchGame)
+  room.gameActive = true;
+  room.round = 0;
+  room.level = 0;
+  room.players.forEach((p) => {
+    p.score = 0;
+    p.jokers = createJokerInventory(0);
+  });
+
+  const startedAt = clock.now();
+  let turns = 0;
+  let ended = false;
+  // Thème du round en cours (room.theme est remis à zéro en fin de match)
+  let currentTheme = null;
+  const themeStats = (name) => {
+    if (!stats.themes[name]) stats.themes[name] = { rounds: 0, turns: 0, short: 0, empty: 0, finalPools: [] };
+    return stats.themes[name];
+  };
+  const io = createFakeIo((event, data) => {
+    if (event === "turn:start") {
+      turns += 1;
+      const theme = themeStats(currentTheme);
+      const pool = playablePool(room);
+      theme.turns += 1;
+      if (pool < aliveIds(room).length) theme.short += 1;
+      if (pool === 0) theme.empty += 1;
+      theme.lastPool = pool;
+      stats.roundLevel = room.level;
+    } else if (event === "round:start") {
+      currentTheme = data.theme;
+      themeStats(currentTheme).rounds += 1;
+    } else if (event === "elim:popup" && data.eliminations) {
+      // Fautes de fin de tour. La forme { events } de finalizeVote() n'est
+      // pas comptée : les votes sont relevés par vote:eliminated.
+      for (const e of data.eliminations) {
+        stats.faults[e.reason] = (stats.faults[e.reason] || 0) + 1;
+        if (e.eliminated) stats.eliminations[e.reason] = (stats.eliminations[e.reason] || 0) + 1;
+      }
+    } else if (event === "vote:eliminated") {
+      for (const id of data.ids) {
+        stats.faults.offTopic = (stats.faults.offTopic || 0) + 1;
+        if (!(data.lives[id] > 0)) stats.eliminations.offTopic = (stats.eliminations.offTopic || 0) + 1;
+      }
+    } else if (event === "round:standings" || event === "game:end") {
+      stats.levels.push(stats.roundLevel);
+      const theme = themeStats(currentTheme);
+      if (theme.lastPool !== undefined) theme.finalPools.push(theme.lastPool);
+      if (event === "game:end") ended = true;
+    }
+  });
+
+  await startNewRound(code, room, io);
+  let idle = 0;
+  while (!ended) {
+    if (clock.runNext()) {
+      idle = 0;
+      await tick();
+    } else {
+      // Aucun timer : une banque de mots est peut-être en cours de lecture
+      if (++idle > 10000) throw new Error(`Partie ${index} bloquée au round ${room.round}`);
+      await new Promise((resolve) => setTimeout(resolve, 1));
+    }
+  }
+  stats.turns.push(turns);
+  stats.minutes.push((clock.now() - startedAt) / 60000);
+  killRoom(code, "simulated", io);
+  clock.reset();
+}
+
+/**
+ * Résumé d'une série de valeurs : minimum, quantiles, maximum et moyenne.
+ *
+ * @param {number[]} values Les valeurs
+ * @returns {Object} Le résumé
+ */
+function distribution(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const at = (q) => sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+  const round = (x) => Math.round(x * 10) / 10;
+  return {
+    min: round(sorted[0]),
+    p10: round(at(0.1)),
+    median: round(at(0.5)),
+    p90: round(at(0.9)),
+    max: round(sorted[sorted.length - 1]),
+    mean: round(values.reduce((a, b) => a + b, 0) / values.length),
+  };
+}
+
+/**
+ * Construit le rapport final à partir des statistiques cumulées.
+ *
+ * @param {Object} options Options de la simulation
+ * @param {Object} stats Statistiques cumulées
+ * @returns {Object} Le rapport
+ */
+function buildReport(options, stats) {
+  const percent = (n, total) => (total ? Math.round((n / total) * 1000) / 10 : 0);
+  const themes = {};
+  for (const [theme, t] of Object.entries(stats.themes)) {
+    themes[theme] = {
+      rounds: t.rounds,
+      turns: t.turns,
+      shortTurnsPct: percent(t.short, t.turns),
+      emptyTurnsPct: percent(t.empty, t.turns),
+      finalPool: distribution(t.finalPools),
+    };
+  }
+  return {
+    games: options.games,
+    bots: options.bots,
+    humans: options.humans,
+    level: options.level,
+    turnsPerGame: distribution(stats.turns),
+    minutesPerGame: distribution(stats.minutes),
+    levelPerRound: distribution(stats.levels),
+    faults: stats.faults,
+    eliminations: stats.eliminations,
+    themes,
+  };
+}
+
+/**
+ * Affiche le rapport sous forme de texte.
+ *
+ * @param {Object} report Le rapport de buildReport()
+ */
+function printReport(report) {
+  const dist = (d) => (d ? `min ${d.min}  p10 ${d.p10}  médiane ${d.median}  p90 ${d.p90}  max ${d.max}  moyenne ${d.mean}` : "-");
+  const reasons = (counts) => {
+    const total = Object.values(counts).reduce((a, b) => a + b, 0);
+    return Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .map(([reason, n]) => `${reason} ${n} (${Math.round((n / total) * 100)} %)`)
+      .join(", ") || "-";
+  };
+  console.log(`Simulation : ${report.games} parties, ${report.bots} bots (${report.level}, dont ${report.humans} imitant des humains)`);
+  console.log(`Tours par partie     : ${dist(report.turnsPerGame)}`);
+  console.log(`Minutes par partie   : ${dist(report.minutesPerGame)}`);
+  console.log(`Niveau par round     : ${dist(report.levelPerRound)}`);
+  console.log(`Fautes               : ${reasons(report.faults)}`);
+  console.log(`Éliminations         : ${reasons(report.eliminations)}`);
+  console.log("Banque de mots par thème (tours avec moins de mots jouables que de joueurs / sans aucun mot, vivier au dernier tour) :");
+  for (const [theme, t] of Object.entries(report.themes).sort((a, b) => b[1].shortTurnsPct - a[1].shortTurnsPct)) {
+    const pool = t.finalPool ? `médiane ${t.finalPool.median}, min ${t.finalPool.min}` : "-";
+    console.log(`  ${theme} : ${t.rounds} rounds, ${t.turns} tours, ${t.shortTurnsPct} % / ${t.emptyTurnsPct} %, vivier ${pool}`);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const clock = createVirtualClock();
+  setClock(clock);
+  const stats = { turns: [], minutes: [], levels: [], faults: {}, eliminations: {}, themes: {}, roundLevel: 0 };
+  try {
+    for (let i = 0; i < options.games; i++) {
+      await playGame(i, options, clock, stats);
+      if (!options.json && (i + 1) % 50 === 0) process.stderr.write(`\r${i + 1}/${options.games} parties`);
+    }
+  } finally {
+    setClock();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+  if (!options.json) process.stderr.write("\n");
+  const report = buildReport(options, stats);
+  if (options.json) console.log(JSON.stringify(report, null, 2));
+  else printReport(report);
+}
+
+main().then(
+  () => process.exit(0),
+  (err) => {
+    console.error(err.message);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,31 @@
+/**
+ * Horloge du déroulement des parties
+ *
+ * La logique de jeu (tours, votes, rounds, bots) lit l'heure et planifie
+ * ses timers à travers cet objet plutôt qu'avec Date.now() et setTimeout()
+ * directement. Le serveur utilise l'horloge réelle ; le simulateur
+ * (tools/simulate.js) installe une horloge virtuelle avec setClock() pour
+ * enchaîner des milliers de parties sans attendre.
+ */
+const realClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (timer) => clearTimeout(timer),
+};
+
+const clock = { ...realClock };
+
+/**
+ * Remplace l'horloge utilisée par la logique de jeu. Sans argument,
+ * l'horloge réelle est rétablie.
+ *
+ * @param {{now: Function, setTimeout: Function, clearTimeout: Function}} [impl]
+ */
+function setClock(impl = realClock) {
+  Object.assign(clock, impl);
+}
+
+module.exports = {
+  clock,
+  setClock,
+};
@@ -0,0 +1,38 @@
+/**
+ * Générateurs pseudo-aléatoires
+ *
+ * Les fonctions de tirage (pickRandom, generatePunishedLetters, règles de
+ * lettres…) acceptent un paramètre `rng` : une fonction sans argument qui
+ * renvoie un nombre dans [0, 1), Math.random par défaut. Un générateur
+ * initialisé par une graine permet de rejouer exactement la même suite de
+ * tirages, comme pour le défi du jour.
+ */
+
+/**
+ * Crée un générateur déterministe à partir d'une graine texte (hachage
+ * xmur3 puis générateur mulberry32). La même graine donne toujours la
+ * même suite de nombres.
+ *
+ * @param {string} seed La graine
+ * @returns {() => number} Générateur de nombres dans [0, 1)
+ */
+function createSeededRng(seed) {
+  let h = 1779033703 ^ seed.length;
+  for (let i = 0; i < seed.length; i++) {
+    h = Math.imul(h ^ seed.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  let state = (h ^= h >>> 16) >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = {
+  createSeededRng,
+};
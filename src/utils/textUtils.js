@@ -0,0 +1,20 @@
+/**
+ * Échappe les caractères spéciaux HTML d'un texte fourni par un joueur.
+ * Identique à escapeHtml() de public/client.js : le texte renvoyé peut être
+ * inséré tel quel dans la page sans risque d'injection.
+ *
+ * @param {string} str Le texte brut
+ * @returns {string} Le texte échappé
+ */
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+module.exports = {
+  escapeHtml,
+};
@@ -55,43 +55,290 @@ function nameVariants(norm) {
  * Choisit un élément aléatoire dans un tableau. Utilisé pour le thème.
  *
  * @param {Array} arr Tableau d'éléments
+ * @param {() => number} [rng=Math.random] Générateur (voir utils/random.js)
  */
-function pickRandom(arr) {
-  return arr[Math.floor(Math.random() * arr.length)];
+function pickRandom(arr, rng = Math.random) {
+  return arr[Math.floor(rng() * arr.length)];
 }
 
 /**
- * Génère un ensemble de lettres interdites (« punies ») en fonction du
- * niveau. À partir du niveau 10, des lettres aléatoires sont tirées :
- * 1 lettre aux niveaux 10‑12, 2 lettres aux niveaux 13‑15 et 3 lettres
- * aux niveaux 16‑20. Les lettres sont distinctes et choisies dans
- * l'alphabet latin (a‑z). Si le niveau est inférieur à 10, aucune
- * lettre n'est punie.
+ * Tire jusqu'à `count` éléments distincts d'un tableau, dans un ordre
+ * aléatoire. Le tableau d'origine n'est pas modifié.
  *
- * @param {number} level Le niveau courant
- * @returns {string[]} Tableau de lettres minuscules interdites
+ * @param {Array} arr Tableau d'éléments
+ * @param {number} count Nombre d'éléments souhaités
+ * @param {() => number} [rng=Math.random] Générateur
+ * @returns {Array} Les éléments tirés
+ */
+function pickRandomMany(arr, count, rng = Math.random) {
+  const pool = [...arr];
+  const picked = [];
+  while (picked.length < count && pool.length > 0) {
+    picked.push(pool.splice(Math.floor(rng() * pool.length), 1)[0]);
+  }
+  return picked;
+}
+
+/**
+ * Masque binaire des lettres a‑z présentes dans un mot normalisé (bit 0
+ * pour « a », bit 25 pour « z »).
+ *
+ * @param {string} word Mot normalisé
+ * @returns {number} Le masque
+ */
+function letterMask(word) {
+  let mask = 0;
+  for (let i = 0; i < word.length; i++) {
+    const c = word.charCodeAt(i) - 97;
+    if (c >= 0 && c < 26) mask |= 1 << c;
+  }
+  return mask;
+}
+
+/**
+ * Nombre de lettres distinctes d'un masque (bits à 1).
+ *
+ * @param {number} mask Masque de lettres
+ * @returns {number} Le nombre de bits à 1
+ */
+function bitCount(mask) {
+  let n = 0;
+  for (let m = mask; m !== 0; m &= m - 1) n++;
+  return n;
+}
+
+// Masques de lettres des banques de mots, calculés une fois par banque et
+// libérés avec elle (les banques ne sont jamais modifiées après chargement)
+const bankMasks = new WeakMap();
+
+/**
+ * Mots d'une banque et leurs masques de lettres (voir letterMask()), dans
+ * l'ordre de la banque, privés des mots de `exclude`. Les masques de la
+ * banque entière sont mis en cache : un tour ne fait plus qu'un filtrage.
+ *
+ * @param {Set<string>} wordSet La banque de mots
+ * @param {Set<string>} [exclude] Mots à écarter (déjà joués)
+ * @returns {{words: string[], masks: Uint32Array}} Le pool de mots
  */
-function generatePunishedLetters(level) {
-  let count = 0;
-  if (level >= 16) {
-    count = 3;
-  } else if (level >= 13) {
-    count = 2;
-  } else if (level >= 10) {
-    count = 1;
+function wordPool(wordSet, exclude) {
+  let bank = bankMasks.get(wordSet);
+  if (!bank) {
+    const words = [...wordSet];
+    bank = { words, masks: Uint32Array.from(words, letterMask) };
+    bankMasks.set(wordSet, bank);
+  }
+  if (!exclude || exclude.size === 0) return bank;
+  const words = [];
+  const masks = [];
+  for (let i = 0; i < bank.words.length; i++) {
+    if (exclude.has(bank.words[i])) continue;
+    words.push(bank.words[i]);
+    masks.push(bank.masks[i]);
   }
+  return { words, masks: Uint32Array.from(masks) };
+}
+
+/**
+ * Génère un ensemble de lettres interdites (« punies »). Le nombre de
+ * lettres dépend du niveau et est fourni par getLetterRule() (voir
+ * TIMER_CONFIG.letterRules). Les lettres sont distinctes et choisies dans
+ * l'alphabet latin (a‑z).
+ *
+ * Si le pool des mots encore jouables du thème est fourni, les lettres
+ * sont tirées une à une en écartant celles qui laisseraient moins de
+ * `minPlayable` mots jouables : on peut alors obtenir moins de lettres que
+ * demandé plutôt qu'un tour impossible. `weighting` règle la difficulté :
+ * « uniform » (toutes les lettres se valent), « frequent » (les lettres
+ * présentes dans beaucoup de mots sont plus souvent bannies, plus
+ * difficile) ou « rare » (l'inverse, plus facile). Sans pool (banque
+ * vide), le tirage est uniforme.
+ *
+ * @param {number} count Nombre de lettres à tirer
+ * @param {{masks: Uint32Array}} [pool] Mots encore jouables (voir wordPool())
+ * @param {{minPlayable?: number, weighting?: string, rng?: Function}} [options]
+ * @returns {string[]} Tableau de lettres minuscules interdites
+ */
+function generatePunishedLetters(count, pool, { minPlayable = 0, weighting = "uniform", rng = Math.random } = {}) {
+  if (count <= 0) return [];
   const letters = [];
+  let playable = pool ? pool.masks : [];
+  if (playable.length === 0) {
+    while (letters.length < count && letters.length < 26) {
+      const letter = String.fromCharCode(97 + Math.floor(rng() * 26));
+      if (!letters.includes(letter)) letters.push(letter);
+    }
+    return letters;
+  }
   while (letters.length < count) {
-    const letter = String.fromCharCode(97 + Math.floor(Math.random() * 26));
-    if (!letters.includes(letter)) letters.push(letter);
+    // Nombre de mots jouables contenant chaque lettre, en un seul parcours
+    const containingCounts = new Array(26).fill(0);
+    for (let j = 0; j < playable.length; j++) {
+      for (let mask = playable[j]; mask !== 0; mask &= mask - 1) {
+        containingCounts[31 - Math.clz32(mask & -mask)]++;
+      }
+    }
+    // Lettres encore possibles avec leur poids de tirage
+    const options = [];
+    let total = 0;
+    for (let i = 0; i < 26; i++) {
+      const letter = String.fromCharCode(97 + i);
+      if (letters.includes(letter)) continue;
+      const bit = 1 << i;
+      const containing = containingCounts[i];
+      const left = playable.length - containing;
+      if (left < minPlayable) continue;
+      let weight = 1;
+      if (weighting === "frequent") weight = containing + 1;
+      else if (weighting === "rare") weight = left + 1;
+      options.push({ letter, bit, weight });
+      total += weight;
+    }
+    if (options.length === 0) break;
+    let r = rng() * total;
+    const chosen = options.find((o) => (r -= o.weight) < 0) || options[options.length - 1];
+    letters.push(chosen.letter);
+    if (letters.length < count) playable = playable.filter((mask) => !(mask & chosen.bit));
+  }
+  return letters;
+}
+
+// Lettres fréquentes utilisées pour les lettres obligatoires lorsque la
+// banque de mots du thème est vide.
+const COMMON_LETTERS = "aeilnorstu";
+
+/**
+ * Génère un ensemble de lettres obligatoires. Pour garantir qu'au moins
+ * un mot reste jouable, on choisit au hasard un mot du pool (mots encore
+ * disponibles du thème) possédant assez de lettres distinctes, puis on
+ * tire les lettres parmi les siennes. Si aucun mot ne convient (banque
+ * vide), les lettres sont tirées parmi des lettres fréquentes.
+ *
+ * @param {number} count Nombre de lettres à tirer
+ * @param {{words: string[], masks: Uint32Array}} [pool] Mots encore jouables (voir wordPool())
+ * @param {() => number} [rng=Math.random] Générateur
+ * @returns {string[]} Tableau de lettres minuscules obligatoires
+ */
+function generateRequiredLetters(count, pool, rng = Math.random) {
+  if (count <= 0) return [];
+  // Tirage uniforme d'un mot éligible : les masques de lettres en cache
+  // donnent le nombre de lettres distinctes sans relire les mots.
+  const eligible = (mask) => bitCount(mask) >= count;
+  let source = null;
+  let seen = 0;
+  const masks = pool ? pool.masks : [];
+  for (let i = 0; i < masks.length; i++) if (eligible(masks[i])) seen++;
+  if (seen > 0) {
+    let target = Math.floor(rng() * seen);
+    for (let i = 0; i < masks.length; i++) {
+      if (!eligible(masks[i]) || target-- > 0) continue;
+      source = [...new Set(pool.words[i].replace(/[^a-z]/g, ""))];
+      break;
+    }
+  }
+  if (!source) source = COMMON_LETTERS.split("");
+  const letters = [];
+  while (letters.length < count && source.length > 0) {
+    const i = Math.floor(rng() * source.length);
+    letters.push(source.splice(i, 1)[0]);
   }
   return letters;
 }
 
+/**
+ * Vérifie qu'un mot respecte la règle de lettres du tour : aucune des
+ * lettres ne doit y figurer pour « forbid », toutes doivent y figurer pour
+ * « require ». Sans lettres, la règle est toujours respectée.
+ *
+ * @param {string} word Mot normalisé
+ * @param {string[]} letters Lettres du tour
+ * @param {string} type "forbid" ou "require"
+ * @returns {boolean} true si le mot est autorisé
+ */
+function respectsLetterRule(word, letters, type) {
+  if (!Array.isArray(letters) || letters.length === 0) return true;
+  if (type === "require") return letters.every((l) => word.includes(l));
+  return !letters.some((l) => word.includes(l));
+}
+
+/**
+ * Longueur d'un mot normalisé, sans compter les espaces, tirets et autres
+ * séparateurs.
+ *
+ * @param {string} word Mot normalisé
+ * @returns {number} Nombre de lettres et chiffres
+ */
+function wordLength(word) {
+  return word.replace(/[^a-z0-9]/g, "").length;
+}
+
+/**
+ * Vérifie qu'un mot respecte la contrainte du tour : première lettre
+ * imposée (startsWith), longueur minimale (minLength) ou maximale
+ * (maxLength). Sans contrainte, le mot est toujours accepté.
+ *
+ * @param {string} word Mot normalisé
+ * @param {Object|null} constraint { type, letter } ou { type, length }
+ * @returns {boolean} true si le mot est autorisé
+ */
+function respectsConstraint(word, constraint) {
+  if (!constraint) return true;
+  if (constraint.type === "startsWith") return word.replace(/[^a-z0-9]/g, "").startsWith(constraint.letter);
+  if (constraint.type === "minLength") return wordLength(word) >= constraint.length;
+  if (constraint.type === "maxLength") return wordLength(word) <= constraint.length;
+  return true;
+}
+
+/**
+ * Génère une contrainte de mot pour un tour. Chaque proposition est
+ * construite à partir d'un mot du pool tiré au hasard (sa première
+ * lettre ou sa longueur), puis retenue seulement si au moins
+ * `minCandidates` mots du pool la respectent. Les types sont essayés dans
+ * un ordre aléatoire ; si aucun ne convient, le tour n'a pas de contrainte.
+ *
+ * @param {string[]} types Types autorisés (startsWith, minLength, maxLength)
+ * @param {string[]} pool Mots normalisés encore jouables
+ * @param {number} minCandidates Nombre minimal de mots jouables
+ * @param {() => number} [rng=Math.random] Générateur
+ * @returns {Object|null} La contrainte ou null
+ */
+function generateWordConstraint(types, pool, minCandidates, rng = Math.random) {
+  if (!pool || pool.length < minCandidates) return null;
+  for (const type of pickRandomMany(types, types.length, rng)) {
+    // Quelques essais par type : un mot source différent à chaque fois
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const source = pickRandom(pool, rng);
+      const length = wordLength(source);
+      let constraint;
+      if (type === "startsWith") {
+        const letter = source.replace(/[^a-z0-9]/g, "")[0];
+        if (!letter) continue;
+        constraint = { type, letter };
+      } else if (type === "minLength" && length >= 5) {
+        constraint = { type, length };
+      } else if (type === "maxLength" && length <= 8) {
+        constraint = { type, length };
+      } else {
+        continue;
+      }
+      const candidates = pool.filter((w) => respectsConstraint(w, constraint)).length;
+      if (candidates >= minCandidates) return constraint;
+    }
+  }
+  return null;
+}
+
 module.exports = {
   normalizeWord,
   normalizeKey,
   nameVariants,
   pickRandom,
+  pickRandomMany,
+  letterMask,
+  wordPool,
   generatePunishedLetters,
+  generateRequiredLetters,
+  respectsLetterRule,
+  wordLength,
+  respectsConstraint,
+  generateWordConstraint,
 };